@@ -9,10 +9,11 @@ import { OAuthManager } from './src/oauth/manager.js';
 async function authenticate() {
   const accountId = process.argv[2];
   const clientId = process.argv[3];
+  const profile = process.argv[4] || process.env.NETSUITE_PROFILE;
 
   if (!accountId || !clientId) {
-    console.error('Usage: node authenticate.js <accountId> <clientId>');
-    console.error('Example: node authenticate.js 6354785-sb1 your-client-id');
+    console.error('Usage: node authenticate.js <accountId> <clientId> [profile]');
+    console.error('Example: node authenticate.js 6354785-sb1 your-client-id sb1');
     process.exit(1);
   }
 
@@ -22,12 +23,14 @@ async function authenticate() {
   console.log('🔐 Starting NetSuite OAuth authentication...');
   console.log(`📋 Account ID: ${accountId}`);
   console.log(`📋 Client ID: ${clientId.substring(0, 8)}...`);
+  console.log(`👤 Profile: ${profile || 'default'}`);
   console.log(`🌐 Callback Port: ${callbackPort}`);
   console.log('');
 
   const oauthManager = new OAuthManager({
     storagePath: './sessions',
-    callbackPort
+    callbackPort,
+    profile
   });
 
   try {
@@ -39,7 +42,7 @@ async function authenticate() {
 
     console.log('');
     console.log('✅ Authentication successful!');
-    console.log('✅ Tokens have been saved to ./sessions/session.json');
+    console.log(`✅ Tokens have been saved to ${oauthManager.storage.getSessionFile(oauthManager.profile)}`);
     console.log('');
     console.log('You can now use the NetSuite MCP server.');
     console.log('Run /mcp in Claude Code to reconnect and access NetSuite tools.');
@@ -2,17 +2,49 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { ListToolsRequestSchema, CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { OAuthManager } from './oauth/manager.js';
+import {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ErrorCode,
+  McpError
+} from '@modelcontextprotocol/sdk/types.js';
+import { OAuthManager, PENDING_AUTH_TTL } from './oauth/manager.js';
 import { NetSuiteMCPTools } from './mcp/tools.js';
+import { SCOPED_RESERVED_ARGUMENTS, extractReservedArguments, withReservedArguments } from './mcp/reservedArgs.js';
+import { SUITEQL_TOOL, getQueryArgument, runSuiteQLAll } from './mcp/suiteqlPager.js';
+import { SuiteQLGuard } from './mcp/suiteqlGuard.js';
+import { RecordMetadata } from './mcp/recordMetadata.js';
+import { BULK_TOOLS, parseBulkRows, runBulk } from './mcp/bulkOperations.js';
+import { RECIPE_TOOL_PREFIX, RecipeBook, runRecipe } from './mcp/recipes.js';
+import { SchemaValidationError, validate } from './mcp/schemaValidator.js';
+import { loadToolPolicy } from './mcp/policy.js';
+import { WriteConfirmationGate } from './mcp/writeConfirmation.js';
+import { AuditLog } from './mcp/auditLog.js';
+import { RESULT_FORMATS, assertFormat, formatToolResult } from './mcp/formatter.js';
+import { RESULT_URI_PREFIX, ResultStore } from './mcp/resultStore.js';
+import { ToolCatalog } from './mcp/toolCatalog.js';
+import { McpEndpoints } from './mcp/endpoints.js';
+import { CACHE_META_KEY, ResponseCache, parseCachedTools } from './mcp/responseCache.js';
+import { extractRows, getColumns, parseToolResult } from './mcp/results.js';
+import { SSEServer, loadUsersFile } from './transport/sseServer.js';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 import { dirname, join } from 'path';
+import fs from 'fs/promises';
 
 // Get the directory where the script is located
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const projectRoot = dirname(__dirname); // Go up one level from src/ to project root
 
+// Client ids (HTTP user names / session ids) are used as directory names
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
 /**
  * NetSuite MCP Server
  * Provides NetSuite tools to Claude Code via MCP protocol with OAuth 2.0 PKCE authentication
@@ -20,92 +52,717 @@ const projectRoot = dirname(__dirname); // Go up one level from src/ to project
 class NetSuiteMCPServer {
   constructor() {
     // Use absolute path for sessions directory
-    const sessionsPath = join(projectRoot, 'sessions');
+    this.sessionsPath = join(projectRoot, 'sessions');
+    this.resultsPath = process.env.NETSUITE_RESULTS_DIR || join(projectRoot, 'results');
+    this.catalogPath = process.env.NETSUITE_TOOL_CATALOG_DIR || join(projectRoot, 'catalog');
+    this.cachePath = process.env.NETSUITE_CACHE_DIR || join(projectRoot, 'cache');
 
     // Get callback port from environment or use default
-    const callbackPort = parseInt(process.env.OAUTH_CALLBACK_PORT || '8080', 10);
+    this.callbackPort = parseInt(process.env.OAUTH_CALLBACK_PORT || '8080', 10);
+
+    // Active session profile (e.g. prod, sb1) for this server instance
+    this.profile = process.env.NETSUITE_PROFILE || undefined;
+
+    // Default authentication mode: browser (local callback) or manual (paste redirect URL)
+    this.defaultAuthMode = process.env.NETSUITE_AUTH_MODE === 'manual' ? 'manual' : 'browser';
+
+    // Tool allow/deny/read-only policy (NETSUITE_POLICY_FILE and env overrides)
+    this.policy = loadToolPolicy();
+
+    // Concurrency limits apply per NetSuite account, across all clients
+    this.limiters = new Map();
+
+    // NetSuite MCP endpoint(s) to aggregate tools from
+    this.endpoints = new McpEndpoints({
+      endpoints: process.env.NETSUITE_MCP_ENDPOINTS,
+      host: process.env.NETSUITE_MCP_HOST
+    });
+
+    // JSONL audit log of every tools/call
+    this.auditLog = new AuditLog({
+      directory: process.env.NETSUITE_AUDIT_DIR || join(projectRoot, 'audit'),
+      enabled: process.env.NETSUITE_AUDIT_LOG !== 'false',
+      maxBytes: parseInt(process.env.NETSUITE_AUDIT_MAX_BYTES || String(10 * 1024 * 1024), 10),
+      maxFiles: parseInt(process.env.NETSUITE_AUDIT_MAX_FILES || '5', 10),
+      redactKeys: (process.env.NETSUITE_AUDIT_REDACT || '').split(',').map(key => key.trim()).filter(Boolean)
+    });
+
+    // Default result format (per call: _format)
+    this.defaultFormat = process.env.NETSUITE_RESULT_FORMAT || 'json';
+    if (!RESULT_FORMATS.includes(this.defaultFormat)) {
+      console.error(`⚠️  Unknown NETSUITE_RESULT_FORMAT "${this.defaultFormat}" - using json`);
+      this.defaultFormat = 'json';
+    }
+
+    // Row cap for netsuite_suiteql_all
+    this.suiteqlMaxRows = parseInt(process.env.NETSUITE_SUITEQL_MAX_ROWS || '10000', 10);
+
+    // Local SuiteQL checks (dialect mistakes, row limit, blocked tables/fields)
+    this.suiteqlGuard = new SuiteQLGuard({
+      enabled: process.env.NETSUITE_SUITEQL_GUARD !== 'false',
+      requireLimit: parseInt(process.env.NETSUITE_SUITEQL_REQUIRE_LIMIT || '0', 10),
+      blocked: (process.env.NETSUITE_SUITEQL_BLOCKED || '').split(',').map(item => item.trim()).filter(Boolean)
+    });
+
+    // Bulk record operations: rows per call and default rows in flight
+    this.bulkMaxRows = parseInt(process.env.NETSUITE_BULK_MAX_ROWS || '500', 10);
+    this.bulkConcurrency = parseInt(process.env.NETSUITE_BULK_CONCURRENCY || '3', 10);
 
-    this.oauthManager = new OAuthManager({
+    // Saved multi-step tool recipes, each listed as its own tool
+    this.recipes = new RecipeBook({
+      directory: process.env.NETSUITE_RECIPES_DIR || join(projectRoot, 'recipes')
+    });
+
+    // HTTP mode: "shared" (one NetSuite session for everyone) or "per-client"
+    this.perClientSessions = process.env.NETSUITE_HTTP_SESSIONS === 'per-client';
+
+    // Client used for stdio and shared HTTP mode
+    this.defaultClient = this.createClient({
+      id: null,
+      sessionsPath: this.sessionsPath,
+      resultsPath: this.resultsPath,
+      catalogPath: this.catalogPath,
+      cachePath: this.cachePath
+    });
+
+    // Per-client HTTP mode: client id -> client
+    this.clients = new Map();
+    this.httpTransport = null;
+  }
+
+  /**
+   * Create the state of one client: OAuth sessions, tools client,
+   * confirmation tokens and saved results
+   * @param {Object} options
+   * @param {string|null} options.id - Client id (null for the default client)
+   * @param {string} options.sessionsPath - Session storage directory
+   * @param {string} options.resultsPath - Saved results directory
+   * @param {string} options.catalogPath - Tool catalog snapshot directory
+   * @param {string} options.cachePath - Response cache directory (used with NETSUITE_CACHE_PERSIST)
+   * @param {boolean} [options.ephemeral] - Discard the client's sessions when it disconnects
+   * @returns {Object} Client
+   */
+  createClient({ id, sessionsPath, resultsPath, catalogPath, cachePath, ephemeral = false }) {
+    const client = {
+      id,
+      ephemeral,
+      // Remote clients can't reach the localhost callback server
+      defaultAuthMode: id ? 'manual' : this.defaultAuthMode,
+      manualAuthOnly: Boolean(id),
+      isAuthenticated: false,
+      servers: new Set() // connected MCP servers (one for stdio, one per connection for HTTP)
+    };
+
+    client.oauthManager = new OAuthManager({
       storagePath: sessionsPath,
-      callbackPort
+      callbackPort: this.callbackPort,
+      profile: this.profile
     });
 
-    this.mcpTools = new NetSuiteMCPTools(this.oauthManager);
-    this.isAuthenticated = false;
+    client.mcpTools = new NetSuiteMCPTools(client.oauthManager, {
+      policy: this.policy,
+      limiters: this.limiters,
+      endpoints: this.endpoints,
+      // Tool lists are persisted per account and revalidated in the background
+      catalog: new ToolCatalog({
+        directory: catalogPath,
+        enabled: process.env.NETSUITE_TOOL_CATALOG !== 'false'
+      }),
+      toolsCacheTTL: parseInt(process.env.NETSUITE_TOOLS_CACHE_TTL_SECONDS || '300', 10) * 1000,
+      // Opt-in cache of read-only tool responses (SuiteQL, reports)
+      cache: new ResponseCache({
+        enabled: process.env.NETSUITE_CACHE === 'true',
+        tools: process.env.NETSUITE_CACHE_TOOLS ? parseCachedTools(process.env.NETSUITE_CACHE_TOOLS) : undefined,
+        ttl: parseInt(process.env.NETSUITE_CACHE_TTL_SECONDS || '300', 10) * 1000,
+        maxEntries: parseInt(process.env.NETSUITE_CACHE_MAX_ENTRIES || '100', 10),
+        directory: process.env.NETSUITE_CACHE_PERSIST === 'true' ? cachePath : undefined,
+        writeTools: this.policy.writeTools,
+        endpoints: this.endpoints
+      }),
+      onToolsChanged: (profile) => {
+        if (profile === client.oauthManager.profile) {
+          this.notifyToolListChanged(client, 'NetSuite tool set changed');
+        }
+      },
+      maxRetries: parseInt(process.env.NETSUITE_MAX_RETRIES || '3', 10),
+      retryBaseDelay: parseInt(process.env.NETSUITE_RETRY_BASE_DELAY_MS || '500', 10),
+      retryMaxDelay: parseInt(process.env.NETSUITE_RETRY_MAX_DELAY_MS || '30000', 10),
+      maxConcurrency: parseInt(process.env.NETSUITE_MAX_CONCURRENCY || '5', 10)
+    });
 
-    // Create MCP server
-    this.server = new Server({
+    // Record types and fields for netsuite_describe_record, read with SuiteQL
+    // and NetSuite's record metadata tool
+    client.recordMetadata = new RecordMetadata(client.mcpTools, {
+      directory: process.env.NETSUITE_TOOL_CATALOG !== 'false' ? catalogPath : undefined,
+      ttl: parseInt(process.env.NETSUITE_METADATA_TTL_SECONDS || '86400', 10) * 1000,
+      suiteqlGuard: this.suiteqlGuard
+    });
+
+    // Two-phase (preview + confirmation token) execution of record-changing tools
+    client.writeGate = new WriteConfirmationGate(client.mcpTools, {
+      enabled: process.env.NETSUITE_CONFIRM_WRITES === 'true',
+      ttl: parseInt(process.env.NETSUITE_CONFIRMATION_TTL_SECONDS || '300', 10) * 1000
+    });
+
+    // Large results are saved to disk and exposed as MCP resources
+    client.resultStore = new ResultStore({
+      directory: resultsPath,
+      maxBytes: parseInt(process.env.NETSUITE_SPILL_MAX_BYTES || String(100 * 1024), 10),
+      maxRows: parseInt(process.env.NETSUITE_SPILL_MAX_ROWS || '200', 10),
+      previewRows: parseInt(process.env.NETSUITE_SPILL_PREVIEW_ROWS || '10', 10),
+      maxResults: parseInt(process.env.NETSUITE_RESULTS_MAX_FILES || '50', 10)
+    });
+
+    return client;
+  }
+
+  /**
+   * Get (or create) the client for an HTTP connection in per-client mode
+   * @param {string} id - Authenticated user name, or the SSE session id
+   * @param {Object} [options]
+   * @param {boolean} [options.ephemeral] - Client is keyed by a one-off session id
+   * @returns {Object} Client
+   */
+  getClient(id, options = {}) {
+    if (!CLIENT_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid client id "${id}"`);
+    }
+
+    if (!this.clients.has(id)) {
+      this.clients.set(id, this.createClient({
+        id,
+        sessionsPath: join(this.sessionsPath, 'clients', id),
+        resultsPath: join(this.resultsPath, 'clients', id),
+        catalogPath: join(this.catalogPath, 'clients', id),
+        cachePath: join(this.cachePath, 'clients', id),
+        ephemeral: options.ephemeral
+      }));
+      console.error(`👤 New client: ${id}${options.ephemeral ? ' (session only)' : ''}`);
+    }
+    return this.clients.get(id);
+  }
+
+  /**
+   * Forget a client keyed by a one-off session id once it disconnects
+   * Its tokens and saved results can't be reached again, so they are deleted.
+   * @param {Object} client - Client to release
+   */
+  async releaseClient(client) {
+    if (!client.ephemeral || client.servers.size > 0) {
+      return;
+    }
+
+    this.clients.delete(client.id);
+    client.oauthManager.callbackServer.close();
+    await fs.rm(client.oauthManager.storage.storagePath, { recursive: true, force: true });
+    await fs.rm(client.resultStore.directory, { recursive: true, force: true });
+    await fs.rm(client.mcpTools.catalog.directory, { recursive: true, force: true });
+    if (client.mcpTools.cache.directory) {
+      await fs.rm(client.mcpTools.cache.directory, { recursive: true, force: true });
+    }
+    console.error(`👤 Client released: ${client.id}`);
+  }
+
+  /**
+   * Create an MCP server with all handlers registered
+   * One server is created per connection; servers of the same client share its state.
+   * @param {Object} client - Client the connection belongs to
+   * @returns {Server}
+   */
+  createServer(client) {
+    const server = new Server({
       name: 'netsuite-mcp',
       version: '1.0.0',
     }, {
       capabilities: {
-        tools: {}
+        tools: {
+          listChanged: true
+        },
+        // Declared statically on purpose: capabilities are fixed when the client
+        // initializes, which is usually before a NetSuite session exists, so
+        // NetSuite's own capabilities can't be known yet. resources also covers
+        // the saved results. Lists are empty while NetSuite doesn't offer a
+        // feature (see listUpstream); prompts/get and resources/read of NetSuite
+        // items then fail with MethodNotFound (see forwardUpstream).
+        resources: {
+          listChanged: true
+        },
+        prompts: {
+          listChanged: true
+        }
       }
     });
 
-    // Note: Handlers will be set up after server starts
+    this.setupHandlers(server, client);
+    client.servers.add(server);
+    server.onclose = () => {
+      client.servers.delete(server);
+      this.releaseClient(client).catch((error) => {
+        console.error(`⚠️  Failed to release client ${client.id}:`, error.message);
+      });
+    };
+    return server;
+  }
+
+  /**
+   * Tell the client to re-fetch the tool list (notifications/tools/list_changed)
+   * @param {Object} client - Client whose connections to notify
+   * @param {string} reason - Why the list changed (for logs)
+   */
+  notifyToolListChanged(client, reason) {
+    if (client.servers.size === 0) {
+      return;
+    }
+
+    console.error(`📣 Tool list changed: ${reason}`);
+    for (const server of client.servers) {
+      server.sendToolListChanged().catch((error) => {
+        console.error('⚠️  Failed to send tools/list_changed notification:', error.message);
+      });
+    }
+  }
+
+  /**
+   * Tell the client the saved results changed (notifications/resources/list_changed)
+   */
+  notifyResourceListChanged(client) {
+    for (const server of client.servers) {
+      server.sendResourceListChanged().catch((error) => {
+        console.error('⚠️  Failed to send resources/list_changed notification:', error.message);
+      });
+    }
+  }
+
+  /**
+   * Tell the client the NetSuite prompts changed (notifications/prompts/list_changed)
+   */
+  notifyPromptListChanged(client) {
+    for (const server of client.servers) {
+      server.sendPromptListChanged().catch((error) => {
+        console.error('⚠️  Failed to send prompts/list_changed notification:', error.message);
+      });
+    }
+  }
+
+  /**
+   * Tell the client everything proxied from NetSuite changed (tools, prompts, resources)
+   * Sent when the session of the active profile starts, ends or is replaced.
+   * @param {Object} client - Client whose connections to notify
+   * @param {string} reason - Why the session changed (for logs)
+   */
+  notifySessionChanged(client, reason) {
+    this.notifyToolListChanged(client, reason);
+    this.notifyPromptListChanged(client);
+    this.notifyResourceListChanged(client);
+  }
+
+  /**
+   * Track authentication state of the active profile
+   * Notifies the client when the state flips, since the tool, prompt and resource lists depend on it.
+   * @param {Object} client - Client the state belongs to
+   * @param {string} profile - Profile the state was observed for
+   * @param {boolean} authenticated - Whether the profile has a valid session
+   * @param {Object} [options]
+   * @param {boolean} [options.notify=true] - Send list_changed notifications on change
+   */
+  setAuthenticated(client, profile, authenticated, options = {}) {
+    if (profile !== client.oauthManager.profile) {
+      return;
+    }
+
+    const changed = client.isAuthenticated !== authenticated;
+    client.isAuthenticated = authenticated;
+
+    if (changed && options.notify !== false) {
+      this.notifySessionChanged(client, authenticated ? 'session is valid' : 'session is no longer valid');
+    }
+  }
+
+  /**
+   * Authentication tool definition
+   */
+  getAuthenticationTool(client) {
+    return {
+      name: 'netsuite_authenticate',
+      description: 'Authenticate with NetSuite to access MCP tools. Required before using any NetSuite tools. Returns immediately with the authorization URL and an authId; poll netsuite_auth_status to see when login has finished. If NETSUITE_ACCOUNT_ID and NETSUITE_CLIENT_ID environment variables are set, they will be used automatically.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          accountId: {
+            type: 'string',
+            description: 'NetSuite Account ID (e.g., 1234567 or 1234567_SB1 for sandbox). Optional if NETSUITE_ACCOUNT_ID env var is set.'
+          },
+          clientId: {
+            type: 'string',
+            description: 'OAuth 2.0 Client ID from NetSuite integration record. Optional if NETSUITE_CLIENT_ID env var is set.'
+          },
+          profile: {
+            type: 'string',
+            description: `Session profile to store the tokens under (e.g. "prod", "sb1"). Defaults to the active profile "${client.oauthManager.profile}".`
+          },
+          mode: {
+            type: 'string',
+            enum: ['browser', 'manual'],
+            description: `"browser" opens a browser and listens for the localhost callback in the background. "manual" is for headless/remote environments; finish with netsuite_complete_authentication. Defaults to "${client.defaultAuthMode}".${client.manualAuthOnly ? ' Only "manual" is available to HTTP clients.' : ''}`
+          }
+        },
+        required: []
+      }
+    };
+  }
+
+  /**
+   * Manual authentication completion tool definition
+   */
+  getCompleteAuthenticationTool(client) {
+    return {
+      name: 'netsuite_complete_authentication',
+      description: 'Complete a manual NetSuite authentication started with netsuite_authenticate (mode "manual"). Paste the full URL the browser was redirected to after login (http://localhost:.../callback?code=...&state=...), or its code and state parameters.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          redirectUrl: {
+            type: 'string',
+            description: 'Full redirect URL from the browser address bar (preferred - includes the code and the state for verification)'
+          },
+          code: {
+            type: 'string',
+            description: 'Authorization code, if not pasting the full URL (requires state)'
+          },
+          state: {
+            type: 'string',
+            description: 'State parameter from the redirect URL, required with code'
+          },
+          profile: {
+            type: 'string',
+            description: `Session profile of the pending authentication (defaults to the active profile "${client.oauthManager.profile}")`
+          }
+        },
+        required: []
+      }
+    };
+  }
+
+  /**
+   * Authentication status tool definition
+   */
+  getAuthStatusTool(client) {
+    return {
+      name: 'netsuite_auth_status',
+      description: 'Check the status of a NetSuite authentication started with netsuite_authenticate: pending, succeeded, failed or expired.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          authId: {
+            type: 'string',
+            description: 'authId returned by netsuite_authenticate (optional)'
+          },
+          profile: {
+            type: 'string',
+            description: `Session profile to check (defaults to the active profile "${client.oauthManager.profile}")`
+          }
+        },
+        required: []
+      }
+    };
+  }
+
+  /**
+   * Logout tool definition
+   */
+  getLogoutTool(client) {
+    return {
+      name: 'netsuite_logout',
+      description: 'Clear NetSuite authentication session and logout',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          profile: {
+            type: 'string',
+            description: `Session profile to log out (defaults to the active profile "${client.oauthManager.profile}")`
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Audit log search tool definition
+   */
+  getAuditQueryTool() {
+    return {
+      name: 'netsuite_audit_query',
+      description: 'Search the audit log of tool calls made through this server (newest first). Each record has the timestamp, account, profile, tool, redacted arguments, duration, outcome, response size and NetSuite JSON-RPC request ids.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tool: {
+            type: 'string',
+            description: 'Tool name or glob pattern (e.g. "ns_*Record")'
+          },
+          profile: {
+            type: 'string',
+            description: 'Only calls made with this session profile'
+          },
+          outcome: {
+            type: 'string',
+            enum: ['success', 'error'],
+            description: 'Only successful or only failed calls'
+          },
+          since: {
+            type: 'string',
+            description: 'Start of the time range (ISO 8601, e.g. 2025-01-31T00:00:00Z)'
+          },
+          until: {
+            type: 'string',
+            description: 'End of the time range (ISO 8601)'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 500,
+            description: 'Maximum records to return (default 50)'
+          }
+        },
+        required: []
+      }
+    };
+  }
+
+  /**
+   * Tool catalog refresh tool definition
+   */
+  getRefreshToolsTool(client) {
+    return {
+      name: 'netsuite_refresh_tools',
+      description: 'Fetch the NetSuite tool list again now, bypassing the cache and the catalog snapshot. Use this after installing or changing NetSuite MCP tools. Reports whether the catalog changed; if it did, clients are notified to reload the tool list.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          profile: {
+            type: 'string',
+            description: `Session profile to refresh (defaults to the active profile "${client.oauthManager.profile}")`
+          }
+        },
+        required: []
+      }
+    };
+  }
+
+  /**
+   * Response cache clearing tool definition
+   */
+  getCacheClearTool() {
+    return {
+      name: 'netsuite_cache_clear',
+      description: 'Remove cached tool responses (SuiteQL queries, reports) so the next call fetches fresh data from NetSuite. Without arguments the whole cache is cleared.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tool: {
+            type: 'string',
+            description: 'Only responses of this tool (name or glob pattern, e.g. "ns_runReport")'
+          },
+          profile: {
+            type: 'string',
+            description: 'Only responses for the account of this session profile'
+          }
+        },
+        required: []
+      }
+    };
+  }
+
+  /**
+   * SuiteQL paging tool definition
+   */
+  getSuiteQLAllTool() {
+    return withReservedArguments({
+      name: 'netsuite_suiteql_all',
+      description: `Run a SuiteQL query and return ALL matching rows. Calls ${SUITEQL_TOOL} repeatedly, following pages until the results are exhausted or the row cap is reached, and returns the merged rows with totalRows and a truncated flag. Use this instead of ${SUITEQL_TOOL} when a query may return more rows than fit in one page.`,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: 'SuiteQL query (without paging clauses - paging is added automatically)'
+          },
+          pageSize: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 5000,
+            description: 'Rows requested per call (default 1000)'
+          },
+          maxRows: {
+            type: 'integer',
+            minimum: 1,
+            maximum: this.suiteqlMaxRows,
+            description: `Stop after this many rows (default and maximum ${this.suiteqlMaxRows})`
+          }
+        },
+        required: ['query']
+      }
+    });
+  }
+
+  /**
+   * Bulk record operation tool definition
+   * @param {Object} client - Client (confirmation settings)
+   * @param {string} name - netsuite_bulk_update or netsuite_bulk_create
+   */
+  getBulkTool(client, name) {
+    const upstream = BULK_TOOLS[name];
+    const update = upstream === 'ns_updateRecord';
+    const confirm = client.writeGate.requiresConfirmation(upstream);
+
+    const tool = withReservedArguments({
+      name,
+      description: `${update ? 'Update many existing records' : 'Create many records'} in one call: runs ${upstream} for every row, ` +
+        'a few rows at a time, and returns a per-row report (ok / error / skipped). ' +
+        `Pass rows as a JSON array or as CSV with a header row of field ids${update ? ' and an id column' : ''}. ` +
+        'Failed and skipped rows are returned as retryRows, which can be passed back as rows to retry them.' +
+        (confirm ? ' Changes require confirmation: the first call returns a preview and a _confirmationToken; repeat the call with the token to apply it.' : ''),
+      inputSchema: {
+        type: 'object',
+        properties: {
+          recordType: {
+            type: 'string',
+            description: 'Record type for rows that don\'t set their own, e.g. "customer"'
+          },
+          rows: {
+            type: 'array',
+            minItems: 1,
+            maxItems: this.bulkMaxRows,
+            items: { type: 'object' },
+            description: update
+              ? 'Rows like { "id": "42", "salesrep": "7" } or { "recordType": "customer", "recordId": "42", "fields": { "salesrep": "7" } }'
+              : 'Rows like { "companyname": "Acme" } or { "recordType": "customer", "fields": { "companyname": "Acme" } }'
+          },
+          csv: {
+            type: 'string',
+            description: `CSV instead of rows. Header row = field ids${update ? ', including id or recordId' : ''}; empty cells are left out.`
+          },
+          concurrency: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 10,
+            description: `Rows in flight at once (default ${this.bulkConcurrency})`
+          },
+          onError: {
+            type: 'string',
+            enum: ['continue', 'stop'],
+            description: '"continue" (default) processes every row; "stop" starts no new rows after the first failure'
+          }
+        },
+        required: []
+      }
+    });
+
+    if (confirm) {
+      tool.inputSchema.properties._confirmationToken = SCOPED_RESERVED_ARGUMENTS._confirmationToken;
+    }
+    return tool;
+  }
+
+  /**
+   * Recipe tool definition
+   * @param {Object} client - Client (confirmation settings)
+   * @param {Object} recipe - Recipe (see recipes.js)
+   */
+  getRecipeTool(client, recipe) {
+    const tool = withReservedArguments(this.recipes.getTool(recipe));
+    if (recipe.steps.some(step => client.writeGate.requiresConfirmation(step.tool))) {
+      tool.description += ' Changes require confirmation: the first call returns a preview and a _confirmationToken; repeat the call with the token to apply it.';
+      tool.inputSchema.properties._confirmationToken = SCOPED_RESERVED_ARGUMENTS._confirmationToken;
+    }
+    return tool;
+  }
+
+  /**
+   * Record metadata tool definition
+   */
+  getDescribeRecordTool() {
+    return withReservedArguments({
+      name: 'netsuite_describe_record',
+      description: 'Look up NetSuite record types and fields before writing SuiteQL or calling ns_getRecord. ' +
+        'With recordType: the record\'s fields (id, type, label of custom fields such as custbody_*/custentity_*) and its joins to other records. ' +
+        'With search: fuzzy search over record types, field ids and labels (e.g. "sales rep", "approval status"). ' +
+        'Without arguments: all record types. Metadata is read from NetSuite and cached per account; "partial": true means the fields were sampled from rows and some may be missing.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          recordType: {
+            type: 'string',
+            description: 'SuiteQL record type to describe, e.g. "customer", "transactionline", "customrecord_project_phase"'
+          },
+          search: {
+            type: 'string',
+            description: 'Words to look for in record type and field names/labels (limited to recordType if given)'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 100,
+            description: 'Maximum search matches (default 20)'
+          },
+          refresh: {
+            type: 'boolean',
+            description: 'Re-read the metadata from NetSuite instead of using the cache (e.g. after adding custom fields)'
+          }
+        },
+        required: []
+      }
+    });
   }
 
   /**
    * Setup MCP protocol handlers
+   * @param {Server} server - MCP server to register the handlers on
+   * @param {Object} client - Client the server belongs to
    */
-  setupHandlers() {
+  setupHandlers(server, client) {
     // Handle tool listing
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       try {
-        // Check if authenticated
-        this.isAuthenticated = await this.oauthManager.hasValidSession();
+        // Check if authenticated (the list returned below already reflects the change)
+        const authenticated = await client.oauthManager.hasValidSession();
+        this.setAuthenticated(client, client.oauthManager.profile, authenticated, { notify: false });
 
         // If not authenticated, return special authentication tool
-        if (!this.isAuthenticated) {
+        if (!client.isAuthenticated) {
           console.error('⚠️  Not authenticated - returning authentication tool');
           return {
             tools: [
-              {
-                name: 'netsuite_authenticate',
-                description: 'Authenticate with NetSuite to access MCP tools. Required before using any NetSuite tools. If NETSUITE_ACCOUNT_ID and NETSUITE_CLIENT_ID environment variables are set, they will be used automatically.',
-                inputSchema: {
-                  type: 'object',
-                  properties: {
-                    accountId: {
-                      type: 'string',
-                      description: 'NetSuite Account ID (e.g., 1234567 or 1234567_SB1 for sandbox). Optional if NETSUITE_ACCOUNT_ID env var is set.'
-                    },
-                    clientId: {
-                      type: 'string',
-                      description: 'OAuth 2.0 Client ID from NetSuite integration record. Optional if NETSUITE_CLIENT_ID env var is set.'
-                    }
-                  },
-                  required: []
-                }
-              },
-              {
-                name: 'netsuite_logout',
-                description: 'Clear NetSuite authentication session',
-                inputSchema: {
-                  type: 'object',
-                  properties: {}
-                }
-              }
+              this.getAuthenticationTool(client),
+              this.getAuthStatusTool(client),
+              this.getCompleteAuthenticationTool(client),
+              this.getLogoutTool(client),
+              this.getAuditQueryTool()
             ]
           };
         }
 
         // Fetch and return NetSuite MCP tools
         console.error('✅ Authenticated - fetching NetSuite tools');
-        const tools = await this.mcpTools.fetchTools();
+        const tools = await client.mcpTools.fetchAllowedTools();
+        const recipes = [...(await this.recipes.load()).values()]
+          .filter(recipe => recipe.steps.every(step => tools.some(tool => tool.name === step.tool)));
 
-        // Add logout tool to the list
+        // Add authentication (for other profiles) and logout tools to the list
         const allTools = [
-          ...tools,
-          {
-            name: 'netsuite_logout',
-            description: 'Clear NetSuite authentication session and logout',
-            inputSchema: {
-              type: 'object',
-              properties: {}
-            }
-          }
+          ...tools.map(tool => client.mcpTools.cache.decorateTool(client.writeGate.decorateTool(withReservedArguments(tool)))),
+          ...(tools.some(tool => tool.name === SUITEQL_TOOL) ? [this.getSuiteQLAllTool(), this.getDescribeRecordTool()] : []),
+          ...Object.entries(BULK_TOOLS)
+            .filter(([, upstream]) => tools.some(tool => tool.name === upstream))
+            .map(([name]) => this.getBulkTool(client, name)),
+          ...recipes.map(recipe => this.getRecipeTool(client, recipe)),
+          this.getRefreshToolsTool(client),
+          ...(client.mcpTools.cache.enabled ? [this.getCacheClearTool()] : []),
+          this.getAuthenticationTool(client),
+          this.getAuthStatusTool(client),
+          this.getCompleteAuthenticationTool(client),
+          this.getLogoutTool(client),
+          this.getAuditQueryTool()
         ];
 
         return { tools: allTools };
@@ -115,93 +772,639 @@ class NetSuiteMCPServer {
         // Return authentication tool on error
         return {
           tools: [
-            {
-              name: 'netsuite_authenticate',
-              description: 'Authenticate with NetSuite to access MCP tools. If NETSUITE_ACCOUNT_ID and NETSUITE_CLIENT_ID environment variables are set, they will be used automatically.',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  accountId: { type: 'string', description: 'NetSuite Account ID. Optional if NETSUITE_ACCOUNT_ID env var is set.' },
-                  clientId: { type: 'string', description: 'OAuth Client ID. Optional if NETSUITE_CLIENT_ID env var is set.' }
-                },
-                required: []
-              }
-            }
+            this.getAuthenticationTool(client),
+            this.getAuthStatusTool(client),
+            this.getCompleteAuthenticationTool(client)
           ]
         };
       }
     });
 
+    // Saved large results, followed by NetSuite's resources (first page only)
+    server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      const upstream = await this.listUpstream(client, 'resources/list', 'resources', request.params);
+      return {
+        resources: [
+          ...(request.params?.cursor ? [] : await client.resultStore.listResources()),
+          ...(upstream?.resources || [])
+        ],
+        ...(upstream?.nextCursor ? { nextCursor: upstream.nextCursor } : {})
+      };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async (request) => {
+      const upstream = await this.listUpstream(client, 'resources/templates/list', 'resources', request.params);
+      return {
+        resourceTemplates: upstream?.resourceTemplates || [],
+        ...(upstream?.nextCursor ? { nextCursor: upstream.nextCursor } : {})
+      };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      if (request.params.uri.startsWith(RESULT_URI_PREFIX)) {
+        return { contents: [await client.resultStore.read(request.params.uri)] };
+      }
+      return await this.forwardUpstream(client, 'resources/read', 'resources', request.params);
+    });
+
+    // NetSuite prompts
+    server.setRequestHandler(ListPromptsRequestSchema, async (request) => {
+      const upstream = await this.listUpstream(client, 'prompts/list', 'prompts', request.params);
+      return {
+        prompts: upstream?.prompts || [],
+        ...(upstream?.nextCursor ? { nextCursor: upstream.nextCursor } : {})
+      };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      return await this.forwardUpstream(client, 'prompts/get', 'prompts', request.params);
+    });
+
     // Handle tool execution
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const startedAt = Date.now();
+      const trace = { requestIds: [] };
+      const response = await this.handleToolCall(client, request.params, trace, { server, signal: extra?.signal });
+      await this.recordAudit(client, request.params, response, trace, startedAt);
+      return response;
+    });
+  }
 
-      try {
-        // Handle authentication tool
-        if (name === 'netsuite_authenticate') {
-          return await this.handleAuthentication(args);
-        }
+  /**
+   * Forward a prompts/resources request to NetSuite
+   * @param {Object} client - Client the request belongs to
+   * @param {string} method - JSON-RPC method
+   * @param {string} capability - Capability NetSuite must advertise (prompts, resources)
+   * @param {Object} [params] - Request params
+   * @returns {Promise<Object>} NetSuite's result
+   * @throws {McpError} If not authenticated, unsupported by NetSuite or rejected by it
+   */
+  async forwardUpstream(client, method, capability, params) {
+    if (!await client.oauthManager.hasValidSession()) {
+      throw new McpError(ErrorCode.InvalidRequest, 'Not authenticated. Please use the netsuite_authenticate tool first.');
+    }
 
-        // Handle logout tool
-        if (name === 'netsuite_logout') {
-          return await this.handleLogout();
-        }
+    const capabilities = await client.mcpTools.getUpstreamCapabilities();
+    if (!capabilities[capability]) {
+      throw new McpError(ErrorCode.MethodNotFound, `NetSuite does not offer ${capability} (${method})`);
+    }
 
-        // Check authentication for NetSuite tools
-        this.isAuthenticated = await this.oauthManager.hasValidSession();
-        if (!this.isAuthenticated) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: '❌ Not authenticated. Please use the netsuite_authenticate tool first.\n\n' +
-                      'Example:\n' +
-                      '{\n' +
-                      '  "accountId": "1234567",\n' +
-                      '  "clientId": "your-client-id"\n' +
-                      '}'
-              }
-            ],
-            isError: true
-          };
-        }
+    console.error(`🔀 Forwarding ${method} to NetSuite`);
+    return await client.mcpTools.forwardRequest(method, params);
+  }
 
-        // Execute NetSuite tool
-        console.error(`\n🔧 Executing NetSuite tool: ${name}`);
-        const result = await this.mcpTools.executeTool(name, args);
+  /**
+   * Forward a list request to NetSuite, if possible
+   * Lists degrade to empty while not authenticated, when NetSuite doesn't
+   * offer the capability or can't be reached.
+   * @returns {Promise<Object|null>} NetSuite's result, or null
+   */
+  async listUpstream(client, method, capability, params) {
+    try {
+      if (!await client.oauthManager.hasValidSession()) {
+        return null;
+      }
+      if (!(await client.mcpTools.getUpstreamCapabilities())[capability]) {
+        return null;
+      }
+      return await client.mcpTools.forwardRequest(method, params);
+    } catch (error) {
+      console.error(`⚠️  Could not forward ${method} to NetSuite:`, error.message);
+      return null;
+    }
+  }
 
-        // Format result for MCP protocol
-        return {
-          content: [
-            {
-              type: 'text',
-              text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
-            }
-          ]
-        };
+  /**
+   * Handle a tools/call request
+   * @param {Object} client - Client the call belongs to
+   * @param {Object} params - tools/call params ({ name, arguments, _meta })
+   * @param {Object} trace - Filled with the profile, request ids and error for the audit log
+   * @param {Object} [context] - MCP server the request came in on, and its cancellation signal
+   */
+  async handleToolCall(client, { name, arguments: rawArgs, _meta: meta }, trace, context = {}) {
+    try {
+      // Handle authentication tool
+      if (name === 'netsuite_authenticate') {
+        return await this.handleAuthentication(client, rawArgs || {});
+      }
 
-      } catch (error) {
-        console.error(`❌ Tool execution error:`, error.message);
+      // Handle authentication status tool
+      if (name === 'netsuite_auth_status') {
+        return await this.handleAuthStatus(client, rawArgs || {});
+      }
+
+      // Handle manual authentication completion
+      if (name === 'netsuite_complete_authentication') {
+        return await this.handleCompleteAuthentication(client, rawArgs || {});
+      }
+
+      // Handle logout tool
+      if (name === 'netsuite_logout') {
+        return await this.handleLogout(client, rawArgs || {});
+      }
+
+      // Handle audit log search
+      if (name === 'netsuite_audit_query') {
+        return await this.handleAuditQuery(client, rawArgs || {});
+      }
+
+      // Handle tool catalog refresh
+      if (name === 'netsuite_refresh_tools') {
+        return await this.handleRefreshTools(client, rawArgs || {});
+      }
+
+      // Handle response cache clearing
+      if (name === 'netsuite_cache_clear') {
+        return await this.handleCacheClear(client, rawArgs || {});
+      }
+
+      // Separate proxy options (e.g. _profile) from NetSuite arguments
+      const { reserved, args } = extractReservedArguments(rawArgs);
+      const profile = client.oauthManager.resolveProfile(reserved._profile);
+      trace.profile = profile;
+      if (reserved._format) {
+        assertFormat(reserved._format); // fail before anything is sent to NetSuite
+      }
+
+      // Check authentication for NetSuite tools
+      const authenticated = await client.oauthManager.hasValidSession(profile);
+      this.setAuthenticated(client, profile, authenticated);
+      if (!authenticated) {
         return {
           content: [
             {
               type: 'text',
-              text: `❌ Error: ${error.message}`
+              text: `❌ Not authenticated (profile: ${profile}). Please use the netsuite_authenticate tool first.\n\n` +
+                    'Example:\n' +
+                    '{\n' +
+                    '  "accountId": "1234567",\n' +
+                    '  "clientId": "your-client-id",\n' +
+                    `  "profile": "${profile}"\n` +
+                    '}'
             }
           ],
           isError: true
         };
       }
+
+      // Record-changing tools: preview first, execute only with a valid confirmation token
+      if (client.writeGate.requiresConfirmation(name)) {
+        if (!reserved._confirmationToken) {
+          return await this.handleWritePreview(client, name, args, profile, trace);
+        }
+        client.writeGate.consume(reserved._confirmationToken, name, args, profile);
+        console.error(`✅ Confirmation token accepted for ${name}`);
+      }
+
+      // Handle SuiteQL paging tool
+      if (name === 'netsuite_suiteql_all') {
+        return await this.handleSuiteQLAll(client, args, profile, trace, reserved._format);
+      }
+
+      // Handle record metadata lookup
+      if (name === 'netsuite_describe_record') {
+        return await this.handleDescribeRecord(client, args, profile, trace, reserved._format);
+      }
+
+      // Handle bulk record operations
+      if (Object.hasOwn(BULK_TOOLS, name)) {
+        return await this.handleBulk(client, name, args, reserved, profile, trace, {
+          ...context,
+          progressToken: meta?.progressToken
+        });
+      }
+
+      // Handle saved recipes
+      if (name.startsWith(RECIPE_TOOL_PREFIX)) {
+        const recipe = await this.recipes.get(name);
+        if (recipe) {
+          return await this.handleRecipe(client, recipe, args, reserved, profile, trace, context);
+        }
+      }
+
+      // Check SuiteQL locally so bad queries don't cost a NetSuite request
+      let hints = [];
+      if (client.mcpTools.endpoints.upstreamName(name) === SUITEQL_TOOL) {
+        const tool = await client.mcpTools.getTool(name, profile).catch(() => null);
+        hints = this.suiteqlGuard.check(args[getQueryArgument(tool)]);
+      }
+
+      // Execute NetSuite tool
+      console.error(`\n🔧 Executing NetSuite tool: ${name} (profile: ${profile})`);
+      const result = await client.mcpTools.executeTool(name, args, {
+        profile,
+        trace,
+        noCache: reserved._noCache === true
+      });
+
+      // Format result for MCP protocol
+      const response = await this.renderToolResult(client, name, result, reserved._format || this.defaultFormat);
+      return withSuiteQLHints(response, hints);
+
+    } catch (error) {
+      console.error(`❌ Tool execution error:`, error.message);
+      trace.error = error.message;
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Render a tool result, saving it as a resource if it's too large to inline
+   * @param {Object} client - Client the call belongs to
+   * @param {string} name - Tool name
+   * @param {*} result - Tool result
+   * @param {string} format - Result format (see formatter.js)
+   */
+  async renderToolResult(client, name, result, format) {
+    const response = await this.renderToolContent(client, name, result, format);
+
+    // Served from the response cache: say so, and from when
+    const cache = result?._meta?.[CACHE_META_KEY];
+    if (cache?.hit) {
+      response.content = [
+        { type: 'text', text: `♻️  Cached result from ${cache.cachedAt} (expires ${cache.expiresAt}). Pass "_noCache": true for fresh data.` },
+        ...response.content
+      ];
+      response._meta = { [CACHE_META_KEY]: cache };
+    }
+    return response;
+  }
+
+  /**
+   * Format a tool result, or save it and return a summary if it's too large to inline
+   */
+  async renderToolContent(client, name, result, format) {
+    const payload = parseToolResult(result);
+    const rows = extractRows(payload);
+    const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+    if (result?.isError || !client.resultStore.shouldSpill(text, rows)) {
+      return formatToolResult(result, format);
+    }
+
+    const resources = await client.resultStore.save({ tool: name, payload, rows });
+    this.notifyResourceListChanged(client);
+
+    const size = Buffer.byteLength(text);
+    const sizeText = size >= 1024 * 1024 ? `${(size / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(size / 1024)} KB`;
+    let summary = `📦 Result too large to return inline (${rows ? `${rows.length} rows, ` : ''}${sizeText}). ` +
+                  'The full result was saved as MCP resources (read them with resources/read):\n' +
+                  resources.map(resource => `- ${resource.uri} (${resource.mimeType})`).join('\n');
+
+    if (rows) {
+      const preview = formatToolResult(rows.slice(0, client.resultStore.previewRows), format).content[0].text;
+      summary += `\n\nColumns: ${getColumns(rows).join(', ')}\n\n` +
+                 `First ${Math.min(rows.length, client.resultStore.previewRows)} rows:\n${preview}`;
+    } else if (payload && typeof payload === 'object') {
+      summary += `\n\nTop-level keys: ${Object.keys(payload).join(', ')}`;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: summary
+        }
+      ]
+    };
+  }
+
+  /**
+   * Append the audit record of a tools/call
+   * @param {Object} client - Client the call belongs to
+   * @param {Object} params - tools/call params ({ name, arguments })
+   * @param {Object} response - Response returned to the client
+   * @param {Object} trace - Profile, request ids and error collected during the call
+   * @param {number} startedAt - Call start time (ms)
+   */
+  async recordAudit(client, { name, arguments: rawArgs }, response, trace, startedAt) {
+    const profile = trace.profile || rawArgs?.profile || client.oauthManager.profile;
+    const text = (response.content || []).map(item => item.text || '').join('\n');
+    const accountId = await client.oauthManager.getAccountId(profile).catch(() => null);
+
+    await this.auditLog.append({
+      timestamp: new Date(startedAt).toISOString(),
+      requestIds: trace.requestIds,
+      tool: name,
+      client: client.id || undefined,
+      cache: trace.cache,
+      profile,
+      accountId: accountId || null,
+      arguments: rawArgs || {},
+      durationMs: Date.now() - startedAt,
+      outcome: response.isError ? 'error' : 'success',
+      error: response.isError ? (trace.error || text.split('\n')[0]) : undefined,
+      responseBytes: Buffer.byteLength(text)
     });
   }
 
+  /**
+   * Handle audit log search
+   */
+  async handleAuditQuery(client, args) {
+    const violations = validate(this.getAuditQueryTool().inputSchema, args);
+    if (violations.length > 0) {
+      throw new SchemaValidationError('netsuite_audit_query', violations);
+    }
+
+    const entries = await this.auditLog.query({
+      tool: args.tool,
+      profile: args.profile,
+      outcome: args.outcome,
+      since: args.since,
+      until: args.until,
+      limit: args.limit,
+      // Per-client HTTP users only see their own calls; the shared/stdio client sees all
+      client: client.id || undefined
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `📜 ${entries.length} audit record(s), newest first${this.auditLog.enabled ? '' : ' (audit logging is disabled)'}\n\n` +
+                JSON.stringify(entries, null, 2)
+        }
+      ]
+    };
+  }
+
+  /**
+   * Handle tool catalog refresh
+   */
+  async handleRefreshTools(client, args) {
+    const profile = client.oauthManager.resolveProfile(args.profile);
+    if (!await client.oauthManager.hasValidSession(profile)) {
+      return {
+        content: [{ type: 'text', text: `❌ Not authenticated (profile: ${profile}). Please use the netsuite_authenticate tool first.` }],
+        isError: true
+      };
+    }
+
+    console.error(`\n🔄 Refreshing tool catalog (profile: ${profile})`);
+    const refresh = await client.mcpTools.refreshTools(profile);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🔄 Tool catalog refreshed (profile: ${profile}): ${refresh.tools.length} tools, ${refresh.changed ? 'changed' : 'unchanged'}\n\n` +
+                JSON.stringify({
+                  profile,
+                  toolCount: refresh.tools.length,
+                  hash: refresh.hash,
+                  previousHash: refresh.previousHash,
+                  changed: refresh.changed,
+                  fetchedAt: new Date(refresh.fetchedAt).toISOString()
+                }, null, 2)
+        }
+      ]
+    };
+  }
+
+  /**
+   * Handle response cache clearing
+   */
+  async handleCacheClear(client, args) {
+    const violations = validate(this.getCacheClearTool().inputSchema, args);
+    if (violations.length > 0) {
+      throw new SchemaValidationError('netsuite_cache_clear', violations);
+    }
+
+    let accountId;
+    if (args.profile) {
+      accountId = await client.oauthManager.getAccountId(args.profile);
+      if (!accountId) {
+        throw new Error(`No account known for profile "${client.oauthManager.resolveProfile(args.profile)}"`);
+      }
+    }
+
+    const removed = await client.mcpTools.cache.clear({ tool: args.tool, accountId });
+    console.error(`♻️  Cleared ${removed} cached response(s)`);
+
+    const scope = [args.tool && `tool ${args.tool}`, accountId && `account ${accountId}`].filter(Boolean).join(', ');
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `♻️  Removed ${removed} cached response(s)${scope ? ` (${scope})` : ''}.`
+        }
+      ]
+    };
+  }
+
+  /**
+   * Handle the preview phase of a record-changing tool
+   */
+  async handleWritePreview(client, name, args, profile, trace) {
+    console.error(`\n📝 Previewing ${name} (profile: ${profile}) - confirmation required`);
+    const preview = await client.writeGate.preview(name, args, profile, { trace });
+    return this.renderPreview(client, name, preview);
+  }
+
+  /**
+   * Render a write preview with instructions for confirming it
+   */
+  renderPreview(client, name, preview) {
+    const minutes = Math.round(client.writeGate.ttl / 60000);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `📝 Preview only - nothing has been changed in NetSuite yet.\n\n${JSON.stringify(preview, null, 2)}\n\n` +
+                `To apply this change, call ${name} again with exactly the same arguments plus:\n` +
+                `  "_confirmationToken": "${preview.confirmationToken}"\n` +
+                `The token is valid for ${minutes} minute${minutes === 1 ? '' : 's'} and can be used once.`
+        }
+      ]
+    };
+  }
+
+  /**
+   * Handle a bulk record operation
+   * @param {Object} client - Client the call belongs to
+   * @param {string} name - Bulk tool name
+   * @param {Object} args - Tool arguments (reserved arguments removed)
+   * @param {Object} reserved - Reserved arguments (_format, _confirmationToken)
+   * @param {string} profile - Session profile
+   * @param {Object} trace - Audit trace
+   * @param {Object} context - { server, signal, progressToken }
+   */
+  async handleBulk(client, name, args, reserved, profile, trace, context) {
+    const violations = validate(this.getBulkTool(client, name).inputSchema, args);
+    if (violations.length > 0) {
+      throw new SchemaValidationError(name, violations);
+    }
+
+    const upstream = BULK_TOOLS[name];
+    const rows = parseBulkRows(args, { update: upstream === 'ns_updateRecord', maxRows: this.bulkMaxRows });
+
+    // Bulk changes are confirmed as a whole when the single-record tool requires confirmation
+    if (client.writeGate.requiresConfirmation(upstream)) {
+      if (!reserved._confirmationToken) {
+        console.error(`\n📝 Previewing ${name} (${rows.length} rows, profile: ${profile}) - confirmation required`);
+        await client.mcpTools.checkPolicy(upstream, profile);
+        const recordTypes = {};
+        for (const row of rows) {
+          recordTypes[row.recordType] = (recordTypes[row.recordType] || 0) + 1;
+        }
+        return this.renderPreview(client, name, {
+          tool: upstream,
+          profile,
+          rows: rows.length,
+          recordTypes,
+          firstRows: rows.slice(0, 5),
+          ...client.writeGate.issueToken(name, args, profile)
+        });
+      }
+      client.writeGate.consume(reserved._confirmationToken, name, args, profile);
+      console.error(`✅ Confirmation token accepted for ${name}`);
+    }
+
+    const { server, signal, progressToken } = context;
+    const report = await runBulk(client.mcpTools, {
+      tool: upstream,
+      rows,
+      concurrency: args.concurrency || this.bulkConcurrency,
+      stopOnError: args.onError === 'stop',
+      profile,
+      trace,
+      signal,
+      // Progress notifications only when the client asked for them
+      onProgress: progressToken === undefined ? undefined : (progress, total) => {
+        server.notification({ method: 'notifications/progress', params: { progressToken, progress, total } })
+          .catch(error => console.error('⚠️  Failed to send progress notification:', error.message));
+      }
+    });
+
+    return await this.renderToolResult(client, name, report, reserved._format || this.defaultFormat);
+  }
+
+  /**
+   * Handle a recipe call
+   * @param {Object} client - Client the call belongs to
+   * @param {Object} recipe - Recipe (see recipes.js)
+   * @param {Object} args - Recipe parameters (reserved arguments removed)
+   * @param {Object} reserved - Reserved arguments (_format, _confirmationToken)
+   * @param {string} profile - Session profile
+   * @param {Object} trace - Audit trace
+   * @param {Object} context - { signal }
+   */
+  async handleRecipe(client, recipe, args, reserved, profile, trace, context) {
+    const name = recipe.toolName;
+    const violations = validate(recipe.inputSchema, args);
+    if (violations.length > 0) {
+      throw new SchemaValidationError(name, violations);
+    }
+
+    // Recipes that change records are confirmed as a whole
+    const writeSteps = recipe.steps.filter(step => client.writeGate.requiresConfirmation(step.tool));
+    if (writeSteps.length > 0) {
+      if (!reserved._confirmationToken) {
+        console.error(`\n📝 Previewing ${name} (profile: ${profile}) - confirmation required`);
+        for (const step of recipe.steps) {
+          await client.mcpTools.checkPolicy(step.tool, profile);
+        }
+        return this.renderPreview(client, name, {
+          recipe: recipe.name,
+          profile,
+          parameters: args,
+          steps: recipe.steps.map(step => ({ id: step.id, tool: step.tool, ...(writeSteps.includes(step) ? { changesRecords: true } : {}) })),
+          ...client.writeGate.issueToken(name, args, profile)
+        });
+      }
+      client.writeGate.consume(reserved._confirmationToken, name, args, profile);
+      console.error(`✅ Confirmation token accepted for ${name}`);
+    }
+
+    const result = await runRecipe(client.mcpTools, recipe, args, {
+      profile,
+      trace,
+      signal: context.signal,
+      suiteqlGuard: this.suiteqlGuard
+    });
+    const format = reserved._format || this.defaultFormat;
+    if (result.status !== 'completed') {
+      trace.error = `Recipe ${result.status}${result.failedStep ? ` at step ${result.failedStep}` : ''}`;
+      return { ...formatToolResult(result, format), isError: true };
+    }
+    return await this.renderToolResult(client, name, result, format);
+  }
+
+  /**
+   * Handle SuiteQL paging tool
+   */
+  async handleSuiteQLAll(client, args, profile, trace, format) {
+    const violations = validate(this.getSuiteQLAllTool().inputSchema, args);
+    if (violations.length > 0) {
+      throw new SchemaValidationError('netsuite_suiteql_all', violations);
+    }
+
+    const maxRows = Math.min(args.maxRows || this.suiteqlMaxRows, this.suiteqlMaxRows);
+    const hints = this.suiteqlGuard.check(args.query, { paged: true });
+
+    console.error(`\n🔧 Running paged SuiteQL query (profile: ${profile}, max rows: ${maxRows})`);
+    const result = await runSuiteQLAll(client.mcpTools, {
+      query: args.query,
+      pageSize: args.pageSize,
+      maxRows,
+      profile,
+      trace
+    });
+    console.error(`✅ SuiteQL returned ${result.totalRows} rows in ${result.pages} page(s)${result.truncated ? ' (truncated)' : ''}`);
+
+    const response = await this.renderToolResult(client, 'netsuite_suiteql_all', result, format || this.defaultFormat);
+    return withSuiteQLHints(response, hints);
+  }
+
+  /**
+   * Handle record metadata lookup: describe a record type, search, or list record types
+   */
+  async handleDescribeRecord(client, args, profile, trace, format) {
+    const violations = validate(this.getDescribeRecordTool().inputSchema, args);
+    if (violations.length > 0) {
+      throw new SchemaValidationError('netsuite_describe_record', violations);
+    }
+
+    const options = { refresh: args.refresh === true, trace };
+    let result;
+    if (args.search) {
+      result = await client.recordMetadata.search(profile, args.search, { ...options, recordType: args.recordType, limit: args.limit });
+    } else if (args.recordType) {
+      result = await client.recordMetadata.describe(profile, args.recordType, options);
+    } else {
+      result = await client.recordMetadata.listRecordTypes(profile, options);
+    }
+
+    return await this.renderToolResult(client, 'netsuite_describe_record', result, format || this.defaultFormat);
+  }
+
   /**
    * Handle NetSuite authentication
    */
-  async handleAuthentication(args) {
+  async handleAuthentication(client, args) {
     // Use environment variables if available, fallback to arguments
     const accountId = args.accountId || process.env.NETSUITE_ACCOUNT_ID;
     const clientId = args.clientId || process.env.NETSUITE_CLIENT_ID;
+    const profile = client.oauthManager.resolveProfile(args.profile);
+    const mode = args.mode || client.defaultAuthMode;
+
+    // The localhost callback can't be reached by (or shared between) remote clients
+    if (client.manualAuthOnly && mode !== 'manual') {
+      return {
+        content: [{ type: 'text', text: '❌ Browser authentication is not available to HTTP clients. Use mode "manual".' }],
+        isError: true
+      };
+    }
 
     // Validate that we have both values
     if (!accountId || !clientId) {
@@ -227,6 +1430,8 @@ class NetSuiteMCPServer {
 
     try {
       console.error('\n🔐 Starting NetSuite authentication...');
+      console.error(`📋 Mode: ${mode}`);
+      console.error(`📋 Profile: ${profile}`);
       console.error(`📋 Account ID: ${accountId}`);
       console.error(`📋 Client ID: ${clientId?.substring(0, 8)}...`);
 
@@ -235,27 +1440,62 @@ class NetSuiteMCPServer {
         console.error('✅ Using credentials from environment variables');
       }
 
-      // Start OAuth flow (this will wait for user to complete authentication)
-      await this.oauthManager.startAuthFlow({
+      // Manual flow: hand the URL to the user and wait for netsuite_complete_authentication
+      if (mode === 'manual') {
+        const { authId, authUrl, redirectUri } = await client.oauthManager.startManualAuthFlow({
+          accountId,
+          clientId,
+          profile
+        });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `🔐 Manual authentication started (profile: ${profile}, account: ${accountId}, authId: ${authId}).\n\n` +
+                    '1. Open this URL in any browser and log in to NetSuite:\n\n' +
+                    `   ${authUrl}\n\n` +
+                    `2. The browser will be redirected to ${redirectUri}?code=... - the page will not load, that's expected.\n` +
+                    '3. Copy the full URL from the address bar and call netsuite_complete_authentication with:\n' +
+                    '   {\n' +
+                    '     "redirectUrl": "<pasted URL>",\n' +
+                    `     "profile": "${profile}"\n` +
+                    '   }'
+            }
+          ]
+        };
+      }
+
+      // Start OAuth flow; the callback server keeps running in the background
+      const { authId, authUrl, completion } = await client.oauthManager.beginAuthFlow({
         accountId,
-        clientId
+        clientId,
+        profile
       });
 
-      // Update authentication status
-      this.isAuthenticated = true;
+      completion.then(() => {
+        // Update authentication status
+        this.setAuthenticated(client, profile, true, { notify: false });
 
-      // Clear tools cache to fetch fresh tools
-      this.mcpTools.clearCache();
+        // Clear tools cache to fetch fresh tools
+        client.mcpTools.clearCache(profile);
+        this.notifySessionChanged(client, `authenticated (profile: ${profile})`);
+      }, () => {
+        // Failure is recorded in the session and reported by netsuite_auth_status
+      });
 
       return {
         content: [
           {
             type: 'text',
-            text: '✅ Successfully authenticated with NetSuite!\n\n' +
-                  'You can now use NetSuite MCP tools. Try asking:\n' +
-                  '- "List all saved searches"\n' +
-                  '- "Run a SuiteQL query to get customer data"\n' +
-                  '- "Show me available reports"'
+            text: `🔐 Authentication started (profile: ${profile}, account: ${accountId}, authId: ${authId}).\n\n` +
+                  'A browser window should have opened. If not, open this URL and log in to NetSuite:\n\n' +
+                  `   ${authUrl}\n\n` +
+                  'Then call netsuite_auth_status with:\n' +
+                  '   {\n' +
+                  `     "authId": "${authId}"\n` +
+                  '   }\n' +
+                  `to confirm the login has finished (the link is valid for ${Math.round(PENDING_AUTH_TTL / 60000)} minutes).`
           }
         ]
       };
@@ -271,8 +1511,95 @@ class NetSuiteMCPServer {
                   '1. Your NetSuite Account ID is correct\n' +
                   '2. Your OAuth Client ID is correct\n' +
                   '3. The integration record has PKCE enabled\n' +
-                  `4. The redirect URI is set to: http://localhost:${this.oauthManager.callbackServer.port}/callback\n` +
-                  `5. Port ${this.oauthManager.callbackServer.port} is not in use by another application`
+                  `4. The redirect URI is set to: http://localhost:${client.oauthManager.callbackServer.port}/callback\n` +
+                  `5. Port ${client.oauthManager.callbackServer.port} is not in use by another application`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Handle authentication status check
+   */
+  async handleAuthStatus(client, args) {
+    try {
+      const status = await client.oauthManager.getAuthStatus({
+        authId: args.authId,
+        profile: args.profile
+      });
+
+      const messages = {
+        pending: '⏳ Authentication pending - waiting for the user to log in to NetSuite.',
+        succeeded: '✅ Authentication succeeded. NetSuite tools are available.',
+        failed: `❌ Authentication failed: ${status.error}. Start again with netsuite_authenticate.`,
+        expired: '⌛ Authentication expired before login was completed. Start again with netsuite_authenticate.',
+        none: '⚠️  No authentication in progress and not authenticated. Use netsuite_authenticate.',
+        unknown: '⚠️  Unknown authId. It may have been replaced by a newer authentication attempt.'
+      };
+
+      if (status.status === 'succeeded') {
+        this.setAuthenticated(client, status.profile, true);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${messages[status.status]}\n\n${JSON.stringify(status, null, 2)}`
+          }
+        ]
+      };
+
+    } catch (error) {
+      console.error('❌ Auth status error:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Failed to get authentication status: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Handle completion of manual authentication
+   */
+  async handleCompleteAuthentication(client, args) {
+    try {
+      const profile = await client.oauthManager.completeManualAuthFlow({
+        redirectUrl: args.redirectUrl,
+        code: args.code,
+        state: args.state,
+        profile: args.profile
+      });
+
+      this.setAuthenticated(client, profile, true, { notify: false });
+      client.mcpTools.clearCache(profile);
+      this.notifySessionChanged(client, `authenticated (profile: ${profile})`);
+
+      const accountId = await client.oauthManager.getAccountId(profile);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `✅ Successfully authenticated with NetSuite (profile: ${profile}, account: ${accountId})!\n\n` +
+                  'You can now use NetSuite MCP tools.'
+          }
+        ]
+      };
+
+    } catch (error) {
+      console.error('❌ Authentication failed:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Authentication failed: ${error.message}`
           }
         ],
         isError: true
@@ -283,19 +1610,21 @@ class NetSuiteMCPServer {
   /**
    * Handle logout
    */
-  async handleLogout() {
+  async handleLogout(client, args = {}) {
     try {
-      await this.oauthManager.clearSession();
-      this.mcpTools.clearCache();
-      this.isAuthenticated = false;
+      const profile = client.oauthManager.resolveProfile(args.profile);
+      await client.oauthManager.clearSession(profile);
+      client.mcpTools.clearCache(profile);
+      this.setAuthenticated(client, profile, false, { notify: false });
+      this.notifySessionChanged(client, `logged out (profile: ${profile})`);
 
-      console.error('✅ Logged out successfully');
+      console.error(`✅ Logged out successfully (profile: ${profile})`);
 
       return {
         content: [
           {
             type: 'text',
-            text: '✅ Successfully logged out from NetSuite.\n\n' +
+            text: `✅ Successfully logged out from NetSuite (profile: ${profile}).\n\n` +
                   'Use netsuite_authenticate to login again.'
           }
         ]
@@ -317,44 +1646,161 @@ class NetSuiteMCPServer {
 
   /**
    * Start the MCP server
+   * @param {Object} [options]
+   * @param {string} [options.transport] - "stdio" (default) or "sse"
+   * @param {string} [options.host] - HTTP bind address (sse)
+   * @param {number} [options.port] - HTTP port (sse)
+   * @param {string} [options.authToken] - Bearer token required from HTTP clients (sse)
+   * @param {Object} [options.users] - User name -> bearer token map (sse)
    */
-  async start() {
+  async start(options = {}) {
+    const transportName = options.transport || 'stdio';
+
     console.error('🚀 NetSuite MCP Server starting...');
     console.error('📦 Version: 1.0.0');
-    console.error('🔌 Transport: stdio (MCP Client)');
-    console.error(`🌐 Callback Port: ${this.oauthManager.callbackServer.port}`);
-    console.error(`📁 Sessions Directory: ${this.oauthManager.storage.storagePath}`);
+    console.error(`🔌 Transport: ${transportName === 'sse' ? 'HTTP (SSE)' : 'stdio (MCP Client)'}`);
+    console.error(`🌐 Callback Port: ${this.defaultClient.oauthManager.callbackServer.port}`);
+    console.error(`📁 Sessions Directory: ${this.defaultClient.oauthManager.storage.storagePath}`);
+    console.error(`👤 Active Profile: ${this.defaultClient.oauthManager.profile}`);
+    const storageBackend = await this.defaultClient.oauthManager.storage.getBackend();
+    console.error(`🔒 Session Storage: ${storageBackend.name}`);
+    console.error(`🔗 MCP Endpoints: ${this.endpoints.describe()}`);
+    console.error(`🛡️  Tool Policy: ${this.policy.describe()}`);
+    console.error(`🧪 SuiteQL Guard: ${this.suiteqlGuard.describe()}`);
+    console.error(`🧩 Recipes: ${await this.recipes.describe()}`);
+    console.error(`📜 Audit Log: ${this.auditLog.enabled ? this.auditLog.filePath : 'disabled'}`);
+    console.error(`💾 Results Directory: ${this.defaultClient.resultStore.directory}`);
+    const { catalog } = this.defaultClient.mcpTools;
+    console.error(`♻️  Response Cache: ${this.defaultClient.mcpTools.cache.describe()}`);
+    console.error(`📂 Tool Catalog: ${catalog.enabled ? catalog.directory : 'disabled'} (revalidate after ${this.defaultClient.mcpTools.toolsCacheTTL / 1000}s)`);
 
     // Check if already authenticated
-    this.isAuthenticated = await this.oauthManager.hasValidSession();
-    if (this.isAuthenticated) {
+    this.defaultClient.isAuthenticated = await this.defaultClient.oauthManager.hasValidSession();
+    if (this.defaultClient.isAuthenticated) {
       console.error('✅ Already authenticated with NetSuite');
-      const accountId = await this.oauthManager.getAccountId();
+      const accountId = await this.defaultClient.oauthManager.getAccountId();
       console.error(`📋 Account ID: ${accountId}`);
     } else {
       console.error('⚠️  Not authenticated - authentication required');
     }
 
-    // Connect stdio transport
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+    const perClient = transportName === 'sse' && this.perClientSessions;
+    if (perClient) {
+      console.error(`👥 HTTP Sessions: per-client (${options.users ? 'keyed by user' : 'keyed by connection'})`);
+    }
 
-    // Set up handlers after connection
-    this.setupHandlers();
+    if (transportName === 'sse') {
+      // Serve MCP over HTTP; every client connection gets its own Server
+      this.httpTransport = new SSEServer({
+        host: options.host,
+        port: options.port,
+        authToken: options.authToken,
+        users: options.users,
+        createServer: ({ sessionId, user }) => {
+          const client = !perClient
+            ? this.defaultClient
+            : user ? this.getClient(user) : this.getClient(sessionId, { ephemeral: true });
+          return this.createServer(client);
+        }
+      });
+      await this.httpTransport.start();
+    } else {
+      // Connect stdio transport
+      const server = this.createServer(this.defaultClient);
+      await server.connect(new StdioServerTransport());
+    }
 
     console.error('✅ NetSuite MCP Server ready!\n');
   }
+
+  /**
+   * Stop the server: close client connections and the OAuth callback server
+   */
+  async stop() {
+    if (this.httpTransport) {
+      await this.httpTransport.close();
+    }
+    for (const client of [this.defaultClient, ...this.clients.values()]) {
+      for (const server of [...client.servers]) {
+        await server.close().catch(() => {});
+      }
+      client.oauthManager.callbackServer.close();
+    }
+  }
+}
+
+/**
+ * Prepend SuiteQL guard warnings to a tool response
+ * @param {Object} response - Tool response
+ * @param {Array<{rule: string, message: string}>} hints - Non-blocking guard findings
+ * @returns {Object} Tool response
+ */
+function withSuiteQLHints(response, hints) {
+  if (hints.length === 0) {
+    return response;
+  }
+  const text = `⚠️  SuiteQL hints:\n${hints.map(hint => `- [${hint.rule}] ${hint.message}`).join('\n')}`;
+  return { ...response, content: [{ type: 'text', text }, ...response.content] };
+}
+
+/**
+ * Parse command line options
+ * --transport stdio|sse, --host <address>, --port <port>
+ */
+function parseCommandLine() {
+  const { values } = parseArgs({
+    options: {
+      transport: { type: 'string' },
+      host: { type: 'string' },
+      port: { type: 'string' }
+    },
+    strict: true
+  });
+
+  const transport = values.transport || process.env.NETSUITE_TRANSPORT || 'stdio';
+  if (!['stdio', 'sse'].includes(transport)) {
+    throw new Error(`Unknown transport "${transport}". Use "stdio" or "sse".`);
+  }
+
+  return {
+    transport,
+    host: values.host || process.env.NETSUITE_HTTP_HOST || '127.0.0.1',
+    port: parseInt(values.port || process.env.NETSUITE_HTTP_PORT || '3000', 10),
+    authToken: process.env.NETSUITE_HTTP_TOKEN || undefined,
+    users: process.env.NETSUITE_HTTP_USERS_FILE ? loadUsersFile(process.env.NETSUITE_HTTP_USERS_FILE) : undefined
+  };
 }
 
 // Start the server
 async function main() {
+  let server;
   try {
-    const server = new NetSuiteMCPServer();
-    await server.start();
+    const options = parseCommandLine();
+    server = new NetSuiteMCPServer();
+    await server.start(options);
   } catch (error) {
     console.error('❌ Fatal error starting MCP server:', error);
     process.exit(1);
   }
+
+  // Graceful shutdown: finish closing connections, force exit after 10s
+  let stopping = false;
+  const shutdown = async (signal) => {
+    if (stopping) {
+      return;
+    }
+    stopping = true;
+    console.error(`\n🛑 ${signal} received - shutting down...`);
+    setTimeout(() => process.exit(1), 10000).unref();
+    try {
+      await server.stop();
+    } catch (error) {
+      console.error('⚠️  Error during shutdown:', error.message);
+    }
+    process.exit(0);
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
 }
 
 // Handle uncaught errors
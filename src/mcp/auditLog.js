@@ -0,0 +1,190 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { matchesAny } from '../utils/glob.js';
+
+/**
+ * Audit log
+ * Appends one JSON line per tool call to <directory>/audit.jsonl, rotating
+ * the file by size (audit.jsonl.1 is the most recent rotated file).
+ * Argument keys matching the redaction patterns are masked before writing.
+ */
+
+// Argument keys masked in audit records (glob patterns, case-insensitive)
+export const DEFAULT_REDACT_KEYS = [
+  '*password*',
+  '*secret*',
+  '*token*',
+  '*apikey*',
+  'authorization',
+  'redirectUrl',
+  'code'
+];
+
+const REDACTED = '[REDACTED]';
+const MAX_STRING_LENGTH = 2000;
+
+export class AuditLog {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory for audit files
+   * @param {boolean} [options.enabled] - Write audit records (default true)
+   * @param {number} [options.maxBytes] - Rotate when the file would exceed this size (default 10 MB)
+   * @param {number} [options.maxFiles] - Rotated files to keep (default 5)
+   * @param {string[]} [options.redactKeys] - Extra argument key patterns to mask
+   */
+  constructor(options) {
+    this.directory = options.directory;
+    this.enabled = options.enabled !== false;
+    this.filePath = path.join(this.directory, 'audit.jsonl');
+    this.maxBytes = options.maxBytes ?? 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles ?? 5;
+    this.redactKeys = [...DEFAULT_REDACT_KEYS, ...(options.redactKeys || [])];
+    this.writeQueue = Promise.resolve(); // serializes appends and rotation
+  }
+
+  /**
+   * Mask sensitive keys and truncate very long strings
+   * @param {*} value - Arguments (or any JSON value)
+   * @returns {*} Redacted copy
+   */
+  redact(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        matchesAny(key, this.redactKeys) ? REDACTED : this.redact(item)
+      ]));
+    }
+
+    if (typeof value === 'string' && value.length > MAX_STRING_LENGTH) {
+      return `${value.slice(0, MAX_STRING_LENGTH)}... (${value.length} chars)`;
+    }
+
+    return value;
+  }
+
+  /**
+   * Append an audit record (arguments are redacted)
+   * Failures are logged, never thrown - auditing must not break tool calls.
+   * @param {Object} entry - Audit record
+   */
+  append(entry) {
+    if (!this.enabled) {
+      return Promise.resolve();
+    }
+
+    const line = JSON.stringify({ ...entry, arguments: this.redact(entry.arguments || {}) }) + '\n';
+
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+        await this.rotateIfNeeded(Buffer.byteLength(line));
+        await fs.appendFile(this.filePath, line, { mode: 0o600 });
+      })
+      .catch((error) => {
+        console.error('⚠️  Failed to write audit record:', error.message);
+      });
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Rotate audit.jsonl -> audit.jsonl.1 -> ... when the next line won't fit
+   * @param {number} incomingBytes - Size of the line about to be written
+   */
+  async rotateIfNeeded(incomingBytes) {
+    let size;
+    try {
+      size = (await fs.stat(this.filePath)).size;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    if (size === 0 || size + incomingBytes <= this.maxBytes) {
+      return;
+    }
+
+    await fs.rm(`${this.filePath}.${this.maxFiles}`, { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      await fs.rename(`${this.filePath}.${index}`, `${this.filePath}.${index + 1}`).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    await fs.rename(this.filePath, `${this.filePath}.1`);
+    console.error('🔄 Audit log rotated');
+  }
+
+  /**
+   * Search audit records, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.tool] - Tool name or glob pattern
+   * @param {string} [filters.profile] - Session profile
+   * @param {string} [filters.outcome] - "success" or "error"
+   * @param {string} [filters.since] - ISO timestamp (inclusive)
+   * @param {string} [filters.until] - ISO timestamp (inclusive)
+   * @param {number} [filters.limit] - Maximum records (default 50)
+   * @param {string} [filters.client] - Only records of this HTTP client (per-client sessions)
+   * @returns {Promise<Object[]>} Matching records
+   */
+  async query(filters = {}) {
+    const limit = filters.limit ?? 50;
+    const since = filters.since ? Date.parse(filters.since) : null;
+    const until = filters.until ? Date.parse(filters.until) : null;
+
+    if (Number.isNaN(since) || Number.isNaN(until)) {
+      throw new Error('since/until must be ISO 8601 timestamps (e.g. 2025-01-31T00:00:00Z)');
+    }
+
+    // Let pending writes land first
+    await this.writeQueue;
+
+    const matches = [];
+    const files = [this.filePath];
+    for (let index = 1; index <= this.maxFiles; index++) {
+      files.push(`${this.filePath}.${index}`);
+    }
+
+    for (const file of files) {
+      let content;
+      try {
+        content = await fs.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        throw error;
+      }
+
+      const lines = content.split('\n').filter(Boolean).reverse();
+      for (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue; // partial or corrupted line
+        }
+
+        const time = Date.parse(entry.timestamp);
+        if (filters.tool && !matchesAny(entry.tool, [filters.tool])) continue;
+        if (filters.profile && entry.profile !== filters.profile) continue;
+        if (filters.outcome && entry.outcome !== filters.outcome) continue;
+        if (filters.client && entry.client !== filters.client) continue;
+        if (since !== null && time < since) continue;
+        if (until !== null && time > until) continue;
+
+        matches.push(entry);
+        if (matches.length >= limit) {
+          return matches;
+        }
+      }
+    }
+
+    return matches;
+  }
+}
@@ -0,0 +1,259 @@
+import { describeMutation, getRecordArgumentKeys } from './writeConfirmation.js';
+import { parseToolResult } from './results.js';
+
+/**
+ * Bulk record operations
+ * Runs ns_updateRecord / ns_createRecord for many rows (a JSON array or CSV)
+ * through executeTool() with bounded concurrency, and reports the outcome of
+ * every row. Failed and skipped rows are returned in the input format so they
+ * can be sent again as they are.
+ */
+
+// Bulk tool -> upstream tool it fans out to
+export const BULK_TOOLS = {
+  netsuite_bulk_update: 'ns_updateRecord',
+  netsuite_bulk_create: 'ns_createRecord'
+};
+
+const MAX_LISTED_PROBLEMS = 10;
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line ends)
+ * @param {string} text - CSV text
+ * @returns {string[][]} Records
+ * @throws {Error} If a quoted field is not closed
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw new Error('CSV has an unclosed quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines carry no row
+  return records.filter(values => values.some(value => value !== ''));
+}
+
+/**
+ * Turn CSV text into row objects (header row = field ids, empty cells omitted)
+ */
+function csvToRows(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    throw new Error('CSV is empty');
+  }
+  const columns = header.map(column => column.trim());
+  if (columns.some(column => !column)) {
+    throw new Error('CSV header has an empty column name');
+  }
+
+  return records.map((values, index) => {
+    if (values.length > columns.length) {
+      throw new Error(`CSV line ${index + 2} has ${values.length} values but the header has ${columns.length} columns`);
+    }
+    return Object.fromEntries(values
+      .map((value, column) => [columns[column], value])
+      .filter(([, value]) => value !== ''));
+  });
+}
+
+/**
+ * Normalize bulk input into { recordType, recordId, fields } rows
+ * Rows may be in the upstream tool's argument shape ({ recordType, recordId, fields })
+ * or flat ({ id, salesrep, ... }); recordType defaults to the top-level one.
+ * @param {Object} input
+ * @param {Object[]} [input.rows] - Row objects
+ * @param {string} [input.csv] - CSV with a header row
+ * @param {string} [input.recordType] - Record type for rows without one
+ * @param {Object} options
+ * @param {boolean} options.update - Rows must identify an existing record
+ * @param {number} options.maxRows - Maximum rows per call
+ * @returns {Array<{recordType: string, recordId?: string, fields: Object}>}
+ * @throws {Error} If the input is empty, too large or has invalid rows (nothing is sent then)
+ */
+export function parseBulkRows(input, options) {
+  if (Boolean(input.rows) === Boolean(input.csv)) {
+    throw new Error('Pass either rows or csv');
+  }
+
+  const rawRows = input.rows || csvToRows(input.csv);
+  if (rawRows.length === 0) {
+    throw new Error('No rows to process');
+  }
+  if (rawRows.length > options.maxRows) {
+    throw new Error(`${rawRows.length} rows exceed the limit of ${options.maxRows} per call. Split them into several calls.`);
+  }
+
+  const problems = [];
+  const rows = rawRows.map((raw, index) => {
+    const { recordType, recordId, fields } = describeMutation(raw || {});
+    const row = { recordType: recordType || input.recordType, recordId, fields };
+
+    if (!row.recordType) {
+      problems.push(`Row ${index + 1}: no recordType (set it per row or at the top level)`);
+    }
+    if (options.update && (row.recordId === undefined || row.recordId === '')) {
+      problems.push(`Row ${index + 1}: no record id (recordId or id)`);
+    }
+    if (!options.update && row.recordId !== undefined) {
+      problems.push(`Row ${index + 1}: has a record id - use netsuite_bulk_update to change existing records`);
+    }
+    if (Object.keys(fields).length === 0) {
+      problems.push(`Row ${index + 1}: no field values`);
+    }
+    return row;
+  });
+
+  if (problems.length > 0) {
+    const listed = problems.slice(0, MAX_LISTED_PROBLEMS);
+    const more = problems.length - listed.length;
+    throw new Error(`Invalid rows, nothing was sent:\n${listed.map(problem => `- ${problem}`).join('\n')}${more > 0 ? `\n- ... and ${more} more` : ''}`);
+  }
+  return rows;
+}
+
+/**
+ * Build the upstream tool's arguments for a row
+ * Argument names are taken from the tool's schema when available.
+ */
+function buildArguments(tool, row) {
+  const { typeKey, idKey, fieldsKey } = getRecordArgumentKeys(tool);
+
+  return {
+    [typeKey]: row.recordType,
+    ...(row.recordId !== undefined ? { [idKey]: row.recordId } : {}),
+    ...(fieldsKey ? { [fieldsKey]: row.fields } : row.fields)
+  };
+}
+
+/**
+ * Describe a failed tool result or error
+ */
+function failureMessage(result) {
+  const payload = parseToolResult(result);
+  return typeof payload === 'string' ? payload : JSON.stringify(payload);
+}
+
+/**
+ * Run a tool for every row
+ * @param {NetSuiteMCPTools} mcpTools - Tools client
+ * @param {Object} options
+ * @param {string} options.tool - Upstream tool (ns_updateRecord / ns_createRecord)
+ * @param {Object[]} options.rows - Rows from parseBulkRows()
+ * @param {number} [options.concurrency] - Rows in flight at once (default 3)
+ * @param {boolean} [options.stopOnError] - Don't start new rows after the first failure
+ * @param {string} [options.profile] - Session profile
+ * @param {Object} [options.trace] - Passed to executeTool() to collect request ids
+ * @param {AbortSignal} [options.signal] - Stops starting new rows when aborted (request cancelled)
+ * @param {Function} [options.onProgress] - Called with (done, total) after each row
+ * @returns {Promise<Object>} Report with per-row status and retryRows
+ */
+export async function runBulk(mcpTools, options) {
+  const { tool: toolName, rows, profile, trace, signal, onProgress } = options;
+  const concurrency = Math.max(1, Math.min(options.concurrency || 3, rows.length));
+
+  // Fail fast instead of once per row
+  await mcpTools.checkPolicy(toolName, profile);
+  const tool = await mcpTools.getTool(toolName, profile).catch(() => null);
+
+  console.error(`📦 Bulk ${toolName}: ${rows.length} row(s), ${concurrency} at a time${options.stopOnError ? ', stop on first error' : ''}`);
+  const results = new Array(rows.length);
+  let next = 0;
+  let done = 0;
+  let stopped = false;
+
+  const runRow = async (index) => {
+    const row = rows[index];
+    const entry = { row: index + 1, recordType: row.recordType, recordId: row.recordId };
+    try {
+      const result = await mcpTools.executeTool(toolName, buildArguments(tool, row), { profile, trace });
+      if (result?.isError) {
+        return { ...entry, status: 'error', error: failureMessage(result) };
+      }
+      const payload = parseToolResult(result);
+      return { ...entry, status: 'ok', recordId: payload?.id ?? payload?.recordId ?? row.recordId };
+    } catch (error) {
+      return { ...entry, status: 'error', error: error.message };
+    }
+  };
+
+  const worker = async () => {
+    while (next < rows.length && !stopped && !signal?.aborted) {
+      const index = next++;
+      results[index] = await runRow(index);
+      done++;
+      onProgress?.(done, rows.length);
+      if (results[index].status === 'error' && options.stopOnError) {
+        stopped = true;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  const report = rows.map((row, index) => results[index] || {
+    row: index + 1,
+    recordType: row.recordType,
+    recordId: row.recordId,
+    status: 'skipped'
+  });
+  const count = status => report.filter(entry => entry.status === status).length;
+  const summary = {
+    tool: toolName,
+    total: rows.length,
+    succeeded: count('ok'),
+    failed: count('error'),
+    skipped: count('skipped'),
+    stoppedOnError: stopped,
+    cancelled: Boolean(signal?.aborted),
+    rows: report,
+    // Failed and skipped rows, ready to be passed back as "rows"
+    retryRows: report.filter(entry => entry.status !== 'ok').map(entry => rows[entry.row - 1])
+  };
+
+  console.error(`📦 Bulk ${toolName} finished: ${summary.succeeded} ok, ${summary.failed} failed, ${summary.skipped} skipped`);
+  return summary;
+}
@@ -0,0 +1,156 @@
+/**
+ * NetSuite MCP endpoints
+ * NetSuite serves MCP tools on /services/mcp/v1/all and on scoped endpoints
+ * for SuiteApps and custom tool scripts. Several endpoints can be combined:
+ * the first one is the primary endpoint and keeps its tool names; tools of
+ * the others are namespaced as <endpoint>__<tool>, which is also how a
+ * tools/call is routed back to the endpoint that owns the tool.
+ */
+
+export const DEFAULT_ENDPOINTS = 'all';
+export const DEFAULT_HOST = 'https://{accountId}.suitetalk.api.netsuite.com';
+export const NAMESPACE_SEPARATOR = '__';
+
+const ENDPOINT_BASE_PATH = '/services/mcp/v1/';
+const ENDPOINT_NAME_PATTERN = /^[A-Za-z0-9-]+(_[A-Za-z0-9-]+)*$/; // no "__"
+
+/**
+ * Parse an endpoint list
+ * Entries are comma-separated "path" or "name=path". Relative paths are
+ * resolved against /services/mcp/v1/; the name defaults to the last path
+ * segment.
+ * @param {string} spec - e.g. "all,acme=suiteapp/com.acme.tools"
+ * @returns {Array<{name: string, path: string}>}
+ * @throws {Error} If an entry is invalid or a name is used twice
+ */
+export function parseEndpoints(spec) {
+  const endpoints = [];
+
+  for (const entry of (spec || DEFAULT_ENDPOINTS).split(',').map(item => item.trim()).filter(Boolean)) {
+    const separator = entry.indexOf('=');
+    const rawPath = separator === -1 ? entry : entry.slice(separator + 1).trim();
+    if (!rawPath.replace(/\//g, '')) {
+      throw new Error(`MCP endpoint "${entry}" has no path`);
+    }
+    const path = rawPath.startsWith('/') ? rawPath : `${ENDPOINT_BASE_PATH}${rawPath.replace(/^\/+/, '')}`;
+    const name = separator === -1
+      ? path.split('/').filter(Boolean).pop()?.replace(/[^A-Za-z0-9-]+/g, '-')
+      : entry.slice(0, separator).trim();
+
+    if (!name || !ENDPOINT_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid MCP endpoint name "${name || ''}" in "${entry}". Use letters, digits, "-" and single "_".`);
+    }
+    if (endpoints.some(endpoint => endpoint.name === name)) {
+      throw new Error(`MCP endpoint name "${name}" is used twice. Name the endpoints explicitly (name=path).`);
+    }
+    endpoints.push({ name, path });
+  }
+
+  if (endpoints.length === 0) {
+    throw new Error('No MCP endpoints configured');
+  }
+  return endpoints;
+}
+
+export class McpEndpoints {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.endpoints] - Endpoint list (see parseEndpoints, default "all")
+   * @param {string} [options.host] - Origin, may contain {accountId} (default NetSuite's SuiteTalk host)
+   */
+  constructor(options = {}) {
+    this.endpoints = parseEndpoints(options.endpoints);
+    this.host = (options.host || DEFAULT_HOST).replace(/\/+$/, '');
+  }
+
+  /**
+   * The primary endpoint (un-namespaced tools, prompts and resources)
+   */
+  get primary() {
+    return this.endpoints[0];
+  }
+
+  /**
+   * Identifies the configuration (stored with tool catalog snapshots)
+   */
+  get key() {
+    return `${this.host} ${this.endpoints.map(endpoint => `${endpoint.name}=${endpoint.path}`).join(',')}`;
+  }
+
+  /**
+   * Get an endpoint by name
+   * @param {string} [name] - Endpoint name (defaults to the primary endpoint)
+   * @returns {{name: string, path: string}}
+   */
+  get(name) {
+    const endpoint = name ? this.endpoints.find(candidate => candidate.name === name) : this.primary;
+    if (!endpoint) {
+      throw new Error(`Unknown MCP endpoint "${name}"`);
+    }
+    return endpoint;
+  }
+
+  /**
+   * Build the URL of an endpoint
+   * @param {string} accountId - NetSuite account ID
+   * @param {string} [name] - Endpoint name (defaults to the primary endpoint)
+   * @returns {string}
+   */
+  url(accountId, name) {
+    return `${this.host.replace(/\{accountId\}/g, accountId)}${this.get(name).path}`;
+  }
+
+  /**
+   * Namespace a tool listed by an endpoint
+   * @param {Object} tool - Tool definition as returned by the endpoint
+   * @param {string} name - Endpoint name
+   * @returns {Object} Tool definition
+   */
+  namespaceTool(tool, name) {
+    if (name === this.primary.name) {
+      return tool;
+    }
+    return {
+      ...tool,
+      name: `${name}${NAMESPACE_SEPARATOR}${tool.name}`,
+      description: `[${name}] ${tool.description || ''}`.trim()
+    };
+  }
+
+  /**
+   * Find the endpoint that owns a tool
+   * @param {string} toolName - Tool name as listed to the client
+   * @returns {{endpoint: string, name: string}} Endpoint name and the tool's name on it
+   */
+  route(toolName) {
+    const separator = toolName.indexOf(NAMESPACE_SEPARATOR);
+    if (separator > 0) {
+      const prefix = toolName.slice(0, separator);
+      const endpoint = this.endpoints.slice(1).find(candidate => candidate.name === prefix);
+      if (endpoint) {
+        return { endpoint: endpoint.name, name: toolName.slice(separator + NAMESPACE_SEPARATOR.length) };
+      }
+    }
+    return { endpoint: this.primary.name, name: toolName };
+  }
+
+  /**
+   * Get a tool's name on its endpoint (without the namespace)
+   * Safety checks (write tools, confirmation, SuiteQL guard) use this name so
+   * that <endpoint>__ns_createRecord is treated like ns_createRecord.
+   * @param {string} toolName - Tool name as listed to the client
+   * @returns {string}
+   */
+  upstreamName(toolName) {
+    return this.route(toolName).name;
+  }
+
+  /**
+   * Describe the configuration (for startup logs)
+   * @returns {string}
+   */
+  describe() {
+    const host = this.host === DEFAULT_HOST ? '' : ` on ${this.host}`;
+    return `${this.endpoints.map(endpoint => `${endpoint.name} (${endpoint.path})`).join(', ')}${host}`;
+  }
+}
@@ -0,0 +1,137 @@
+import { extractRows, getColumns, parseToolResult } from './results.js';
+
+/**
+ * Result formatter
+ * Renders tool results for the MCP client as pretty JSON (default), compact
+ * JSON, a Markdown table or CSV. Upstream MCP `content` arrays are passed
+ * through unchanged unless a tabular/compact format is requested and applies.
+ */
+
+export const RESULT_FORMATS = ['json', 'compact', 'markdown', 'csv'];
+
+/**
+ * Render a cell value as text (objects as compact JSON)
+ */
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Render rows as a Markdown table
+ * Scalar top-level fields of the payload (e.g. totalRows, hasMore) are kept
+ * as lines above the table.
+ * @param {Object[]} rows - Row objects
+ * @param {*} payload - Payload the rows were found in
+ * @returns {string}
+ */
+export function toMarkdown(rows, payload) {
+  const lines = [];
+
+  if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+    for (const [key, value] of Object.entries(payload)) {
+      if (value === null || typeof value !== 'object') {
+        lines.push(`- **${key}:** ${cellText(value)}`);
+      }
+    }
+    if (lines.length) {
+      lines.push('');
+    }
+  }
+
+  if (rows.length === 0) {
+    lines.push('_No rows._');
+    return lines.join('\n');
+  }
+
+  const columns = getColumns(rows);
+  const escape = value => cellText(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  lines.push(`| ${columns.map(escape).join(' | ')} |`);
+  lines.push(`| ${columns.map(() => '---').join(' | ')} |`);
+  for (const row of rows) {
+    lines.push(`| ${columns.map(column => escape(row[column])).join(' | ')} |`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render rows as CSV (RFC 4180 quoting)
+ * @param {Object[]} rows - Row objects
+ * @returns {string}
+ */
+export function toCSV(rows) {
+  const columns = getColumns(rows);
+  const quote = (value) => {
+    const text = cellText(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.map(quote).join(','),
+    ...rows.map(row => columns.map(column => quote(row[column])).join(','))
+  ].join('\n');
+}
+
+/**
+ * Check that a format name is supported
+ * @param {string} format - Format name
+ * @throws {Error} If the format is unknown
+ */
+export function assertFormat(format) {
+  if (!RESULT_FORMATS.includes(format)) {
+    throw new Error(`Unknown result format "${format}". Use one of: ${RESULT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Render a payload in the requested format
+ * Non-tabular payloads requested as markdown/csv fall back to compact JSON.
+ * @returns {string|null} Rendered text, or null to keep the original content
+ */
+function render(payload, format, isContent) {
+  if (format === 'markdown' || format === 'csv') {
+    const rows = extractRows(payload);
+    if (rows) {
+      return format === 'markdown' ? toMarkdown(rows, payload) : toCSV(rows);
+    }
+  }
+
+  if (format === 'json') {
+    return isContent ? null : (typeof payload === 'string' ? payload : JSON.stringify(payload, null, 2));
+  }
+
+  if (typeof payload === 'string') {
+    return isContent ? null : payload; // not JSON - nothing to compact
+  }
+  return JSON.stringify(payload);
+}
+
+/**
+ * Format a tool result as an MCP tools/call response
+ * @param {*} result - Result from executeTool() (MCP result or plain value)
+ * @param {string} [format] - One of RESULT_FORMATS (default "json")
+ * @returns {{content: Object[], isError?: boolean}}
+ */
+export function formatToolResult(result, format = 'json') {
+  assertFormat(format);
+
+  const isContent = result !== null && typeof result === 'object' && Array.isArray(result.content);
+
+  // Errors and non-text content (images, resources) are passed through as-is
+  if (isContent && (result.isError || result.content.some(item => item.type !== 'text'))) {
+    return { content: result.content, ...(result.isError ? { isError: true } : {}) };
+  }
+
+  const text = render(parseToolResult(result), format, isContent);
+
+  if (isContent) {
+    return {
+      content: text === null ? result.content : [{ type: 'text', text }],
+      ...(result.isError ? { isError: true } : {})
+    };
+  }
+
+  return { content: [{ type: 'text', text }] };
+}
@@ -0,0 +1,219 @@
+import fs from 'fs';
+import { matchesAny } from '../utils/glob.js';
+
+/**
+ * Tool policy
+ * Decides which proxied NetSuite tools may be listed and executed, based on
+ * a global read-only switch, allow/deny glob lists and per-account /
+ * per-profile overrides. Loaded from NETSUITE_POLICY_FILE and/or env vars.
+ */
+
+// Tools that modify data in NetSuite
+export const DEFAULT_WRITE_TOOLS = ['ns_create*', 'ns_update*', 'ns_delete*', 'ns_upsert*'];
+
+// Sandbox account IDs: 1234567_SB1, 123456-sb2, ...
+const SANDBOX_ACCOUNT_PATTERN = /[_-]sb\d*$/i;
+
+/**
+ * Error raised when a tool call is rejected by the policy
+ */
+export class PolicyViolationError extends Error {
+  /**
+   * @param {string} toolName - Tool being called
+   * @param {string} reason - Why the policy rejected it
+   */
+  constructor(toolName, reason) {
+    super(`Tool ${toolName} is blocked by policy: ${reason}`);
+    this.name = 'PolicyViolationError';
+    this.toolName = toolName;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Check if an account ID is a sandbox account
+ * @param {string} accountId - NetSuite account ID
+ * @returns {boolean}
+ */
+export function isSandboxAccount(accountId) {
+  return SANDBOX_ACCOUNT_PATTERN.test(accountId || '');
+}
+
+/**
+ * Parse a comma-separated env var into a list
+ */
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a boolean env var (true/1/yes); undefined when unset
+ */
+function parseBoolean(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  return /^(true|1|yes)$/i.test(value);
+}
+
+export class ToolPolicy {
+  /**
+   * @param {Object} [config]
+   * @param {boolean} [config.readOnly] - Block write tools everywhere (cannot be overridden)
+   * @param {boolean} [config.readOnlyNonSandbox] - Block write tools on non-sandbox accounts unless a scope overrides it
+   * @param {string[]} [config.allow] - Only tools matching one of these globs are available
+   * @param {string[]} [config.deny] - Tools matching any of these globs are never available
+   * @param {string[]} [config.writeTools] - Globs identifying write tools (default DEFAULT_WRITE_TOOLS)
+   * @param {Object} [config.profiles] - Per-profile { readOnly, allow, deny }
+   * @param {Object} [config.accounts] - Per-account (glob keys) { readOnly, allow, deny }
+   */
+  constructor(config = {}) {
+    this.readOnly = config.readOnly === true;
+    this.readOnlyNonSandbox = config.readOnlyNonSandbox === true;
+    this.allow = config.allow || [];
+    this.deny = config.deny || [];
+    this.writeTools = config.writeTools || DEFAULT_WRITE_TOOLS;
+    this.profiles = config.profiles || {};
+    this.accounts = config.accounts || {};
+  }
+
+  /**
+   * Check if a tool modifies data
+   * @param {string} toolName - Tool name
+   * @returns {boolean}
+   */
+  isWriteTool(toolName) {
+    return matchesAny(toolName, this.writeTools);
+  }
+
+  /**
+   * Collect the scoped rules that apply to a profile/account (account rules first)
+   * @returns {Object[]}
+   */
+  getScopes({ profile, accountId }) {
+    const scopes = [];
+
+    if (accountId) {
+      for (const [pattern, rules] of Object.entries(this.accounts)) {
+        if (matchesAny(accountId, [pattern])) {
+          scopes.push(rules);
+        }
+      }
+    }
+
+    if (profile && this.profiles[profile]) {
+      scopes.push(this.profiles[profile]);
+    }
+
+    return scopes;
+  }
+
+  /**
+   * Check if write tools are blocked for a profile/account
+   * @param {Object} context
+   * @param {string} [context.profile] - Session profile
+   * @param {string} [context.accountId] - NetSuite account ID
+   * @returns {boolean}
+   */
+  isReadOnly({ profile, accountId }) {
+    if (this.readOnly) {
+      return true;
+    }
+
+    let readOnly = this.readOnlyNonSandbox && Boolean(accountId) && !isSandboxAccount(accountId);
+    for (const scope of this.getScopes({ profile, accountId })) {
+      if (typeof scope.readOnly === 'boolean') {
+        readOnly = scope.readOnly;
+      }
+    }
+    return readOnly;
+  }
+
+  /**
+   * Decide whether a tool may be used
+   * Deny patterns win over allow patterns; every non-empty allow list
+   * (global, account, profile) must match.
+   * Allow/deny patterns may match the listed name or the un-namespaced
+   * upstream name; write tools are recognized by the upstream name.
+   * @param {string} toolName - Tool name
+   * @param {Object} context
+   * @param {string} [context.profile] - Session profile
+   * @param {string} [context.accountId] - NetSuite account ID
+   * @param {string} [context.upstreamName] - Tool name without the endpoint namespace (default toolName)
+   * @returns {{allowed: boolean, reason?: string}}
+   */
+  evaluate(toolName, { profile, accountId, upstreamName = toolName } = {}) {
+    const scopes = [{ allow: this.allow, deny: this.deny }, ...this.getScopes({ profile, accountId })];
+    const names = [toolName, upstreamName];
+
+    for (const scope of scopes) {
+      const pattern = (scope.deny || []).find(deny => names.some(name => matchesAny(name, [deny])));
+      if (pattern) {
+        return { allowed: false, reason: `matches deny pattern "${pattern}"` };
+      }
+    }
+
+    for (const scope of scopes) {
+      if (scope.allow?.length && !names.some(name => matchesAny(name, scope.allow))) {
+        return { allowed: false, reason: `not in allow list (${scope.allow.join(', ')})` };
+      }
+    }
+
+    if (this.isWriteTool(upstreamName) && this.isReadOnly({ profile, accountId })) {
+      return {
+        allowed: false,
+        reason: `read-only mode is active for profile "${profile}"${accountId ? ` (account ${accountId})` : ''}`
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Short description for startup logs
+   * @returns {string}
+   */
+  describe() {
+    const parts = [];
+    if (this.readOnly) parts.push('read-only');
+    if (this.readOnlyNonSandbox) parts.push('read-only for non-sandbox accounts');
+    if (this.allow.length) parts.push(`allow ${this.allow.join(', ')}`);
+    if (this.deny.length) parts.push(`deny ${this.deny.join(', ')}`);
+    const scoped = Object.keys(this.profiles).length + Object.keys(this.accounts).length;
+    if (scoped) parts.push(`${scoped} profile/account rule(s)`);
+    return parts.length ? parts.join('; ') : 'all tools allowed';
+  }
+}
+
+/**
+ * Load the tool policy from a JSON file and environment variables
+ * Env vars override the file's global settings; allow/deny lists are appended.
+ * @param {Object} [options]
+ * @param {string} [options.policyFile] - Path to a JSON policy file (default NETSUITE_POLICY_FILE)
+ * @param {Object} [options.env] - Environment (default process.env)
+ * @returns {ToolPolicy}
+ */
+export function loadToolPolicy(options = {}) {
+  const env = options.env || process.env;
+  const policyFile = options.policyFile || env.NETSUITE_POLICY_FILE;
+  let config = {};
+
+  if (policyFile) {
+    try {
+      config = JSON.parse(fs.readFileSync(policyFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load tool policy from ${policyFile}: ${error.message}`);
+    }
+  }
+
+  const readOnly = parseBoolean(env.NETSUITE_READ_ONLY);
+  const readOnlyNonSandbox = parseBoolean(env.NETSUITE_READ_ONLY_NON_SANDBOX);
+
+  return new ToolPolicy({
+    ...config,
+    readOnly: readOnly ?? config.readOnly,
+    readOnlyNonSandbox: readOnlyNonSandbox ?? config.readOnlyNonSandbox,
+    allow: [...(config.allow || []), ...parseList(env.NETSUITE_ALLOW_TOOLS)],
+    deny: [...(config.deny || []), ...parseList(env.NETSUITE_DENY_TOOLS)]
+  });
+}
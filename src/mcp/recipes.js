@@ -0,0 +1,526 @@
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { extractRows, parseToolResult } from './results.js';
+import { SUITEQL_TOOL, getQueryArgument } from './suiteqlPager.js';
+
+/**
+ * Recipes (saved workflow macros)
+ * A recipe is a named chain of NetSuite tool calls defined in a YAML or JSON
+ * file in the recipes directory. Step arguments are templates that can use
+ * the recipe's parameters and the results of earlier steps:
+ *
+ *   recordId: "{{ params.customerId }}"
+ *   sqlQuery: "SELECT ... WHERE entity IN ({{ steps.customers | rows | map:id | sql }})"
+ *
+ * Every recipe is listed as its own tool (recipe_<name>). Running it returns
+ * the recipe output and a trace of every step.
+ */
+
+// Prefix of the tool a recipe is listed as
+export const RECIPE_TOOL_PREFIX = 'recipe_';
+
+const RECIPE_FILE_PATTERN = /\.(ya?ml|json)$/i;
+const RECIPE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,57}$/;
+const TEMPLATE_PATTERN = /\{\{\s*(.*?)\s*\}\}/g;
+const TEMPLATE_ROOTS = ['params', 'steps', 'item'];
+const STEP_ERROR_MODES = ['stop', 'continue'];
+
+// Upper bound for forEach steps, so a large result can't fan out into thousands of calls
+export const MAX_FOR_EACH_ITEMS = 100;
+
+/**
+ * Template filters: {{ value | name }} or {{ value | name:argument }}
+ */
+const FILTERS = {
+  // Tabular rows of a tool result
+  rows: value => extractRows(value) || [],
+  // One field of every row
+  map: (value, field) => toArray(value).map(item => getPath(item, parsePath(field))),
+  join: (value, separator = ',') => toArray(value).join(separator),
+  first: value => toArray(value)[0],
+  count: value => toArray(value).length,
+  json: value => JSON.stringify(value),
+  // SuiteQL literal: numbers as they are, text quoted; lists become comma-separated literals
+  sql: value => toArray(value).map(sqlLiteral).join(', ')
+};
+
+/**
+ * Treat a single value as a one-item list (undefined/null as an empty list)
+ */
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Quote a value as a SuiteQL literal
+ */
+function sqlLiteral(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  return `'${String(value ?? '').replace(/'/g, "''")}'`;
+}
+
+/**
+ * Split a path like steps.orders.items[0].id into its keys
+ * @throws {Error} If the path is malformed
+ */
+function parsePath(text) {
+  if (!/^[A-Za-z_$][\w$-]*(\.[\w$-]+|\[\d+\])*$/.test(text || '')) {
+    throw new Error(`Invalid path "${text}"`);
+  }
+  return text.match(/[^.[\]]+/g);
+}
+
+/**
+ * Read a path from a value (undefined when any part is missing)
+ */
+function getPath(value, keys) {
+  return keys.reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+}
+
+/**
+ * Parse a template expression: a path followed by filters
+ * @returns {{keys: string[], filters: Array<{name: string, argument?: string}>}}
+ * @throws {Error} If the path or a filter is invalid
+ */
+function parseExpression(expression) {
+  const [pathText, ...filterTexts] = expression.split('|').map(part => part.trim());
+  const filters = filterTexts.map(text => {
+    const separator = text.indexOf(':');
+    const name = separator === -1 ? text : text.slice(0, separator).trim();
+    if (!FILTERS[name]) {
+      throw new Error(`Unknown filter "${name}" in {{ ${expression} }} (available: ${Object.keys(FILTERS).join(', ')})`);
+    }
+    return separator === -1 ? { name } : { name, argument: text.slice(separator + 1).trim() };
+  });
+  return { keys: parsePath(pathText), filters };
+}
+
+/**
+ * Evaluate a template expression against the recipe context
+ */
+function evaluate(expression, context) {
+  const { keys, filters } = parseExpression(expression);
+  return filters.reduce(
+    (value, filter) => FILTERS[filter.name](value, filter.argument),
+    getPath(context, keys)
+  );
+}
+
+/**
+ * Resolve the templates in a value
+ * A string that is exactly one {{ expression }} takes the expression's value
+ * (object, list, number); templates inside longer strings are interpolated.
+ * @param {*} value - String, object or list with templates
+ * @param {Object} context - { params, steps, item }
+ * @returns {*} Resolved value
+ */
+export function resolveTemplate(value, context) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{\s*(.*?)\s*\}\}$/);
+    if (whole && !whole[1].includes('}}')) {
+      return evaluate(whole[1], context);
+    }
+    return value.replace(TEMPLATE_PATTERN, (match, expression) => {
+      const result = evaluate(expression, context);
+      if (result === undefined || result === null) {
+        return '';
+      }
+      return typeof result === 'object' ? JSON.stringify(result) : String(result);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveTemplate(item, context));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplate(item, context)]));
+  }
+  return value;
+}
+
+/**
+ * List the template expressions in a value
+ */
+function collectExpressions(value, expressions = []) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(TEMPLATE_PATTERN)) {
+      expressions.push(match[1]);
+    }
+  } else if (value !== null && typeof value === 'object') {
+    Object.values(value).forEach(item => collectExpressions(item, expressions));
+  }
+  return expressions;
+}
+
+/**
+ * Check the templates of a value refer to declared parameters and earlier steps
+ * @throws {Error} Describing the first bad reference
+ */
+function checkReferences(value, { where, parameters, stepIds, allowItem }) {
+  for (const expression of collectExpressions(value)) {
+    const { keys } = parseExpression(expression);
+    const [root, name] = keys;
+    if (!TEMPLATE_ROOTS.includes(root) || (root === 'item' && !allowItem)) {
+      throw new Error(`${where}: {{ ${expression} }} must start with params., steps.${allowItem ? ' or item' : ''}`);
+    }
+    if (root === 'params' && name !== undefined && !Object.hasOwn(parameters, name)) {
+      throw new Error(`${where}: {{ ${expression} }} uses undeclared parameter "${name}"`);
+    }
+    if (root === 'steps' && name !== undefined && !stepIds.includes(name)) {
+      throw new Error(`${where}: {{ ${expression} }} refers to "${name}", which is not an earlier step`);
+    }
+  }
+}
+
+/**
+ * Check a recipe definition and turn it into a runnable recipe
+ * @param {Object} definition - Parsed recipe file
+ * @param {string} file - File it was read from (default name, messages)
+ * @returns {Object} Recipe ({ name, toolName, description, inputSchema, steps, output, file })
+ * @throws {Error} If the definition is invalid
+ */
+export function compileRecipe(definition, file) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('Recipe must be an object');
+  }
+
+  const name = definition.name ?? path.basename(file).replace(RECIPE_FILE_PATTERN, '');
+  if (!RECIPE_NAME_PATTERN.test(name)) {
+    throw new Error(`Recipe name "${name}" may only contain letters, digits, _ and - (at most 57 characters)`);
+  }
+
+  const parameters = definition.parameters ?? {};
+  if (typeof parameters !== 'object' || Array.isArray(parameters)) {
+    throw new Error('parameters must be an object of parameter definitions');
+  }
+  const properties = {};
+  const required = [];
+  for (const [parameter, spec] of Object.entries(parameters)) {
+    if (!spec || typeof spec !== 'object') {
+      throw new Error(`Parameter "${parameter}" must be an object like { type: string, description: ... }`);
+    }
+    const { required: isRequired, ...schema } = spec;
+    properties[parameter] = schema;
+    if (isRequired) {
+      required.push(parameter);
+    }
+  }
+
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    throw new Error('steps must be a non-empty list');
+  }
+  const stepIds = [];
+  const steps = definition.steps.map((step, index) => {
+    const where = `Step ${index + 1}`;
+    if (!step || typeof step.tool !== 'string' || !step.tool) {
+      throw new Error(`${where}: tool is required`);
+    }
+    const id = step.id ?? `step${index + 1}`;
+    if (typeof id !== 'string' || !/^[A-Za-z_][\w-]*$/.test(id) || stepIds.includes(id)) {
+      throw new Error(`${where}: id "${id}" must be a unique name (letters, digits, _ and -)`);
+    }
+    if (step.arguments !== undefined && (typeof step.arguments !== 'object' || Array.isArray(step.arguments))) {
+      throw new Error(`${where}: arguments must be an object`);
+    }
+    const onError = step.onError ?? 'stop';
+    if (!STEP_ERROR_MODES.includes(onError)) {
+      throw new Error(`${where}: onError must be one of ${STEP_ERROR_MODES.join(', ')}`);
+    }
+    if (step.forEach !== undefined && (typeof step.forEach !== 'string' || !/^\{\{.*\}\}$/.test(step.forEach.trim()))) {
+      throw new Error(`${where}: forEach must be a single {{ expression }} that gives a list`);
+    }
+
+    checkReferences(step.forEach, { where, parameters: properties, stepIds, allowItem: false });
+    checkReferences(step.arguments, { where, parameters: properties, stepIds, allowItem: step.forEach !== undefined });
+    stepIds.push(id);
+    return { id, tool: step.tool, arguments: step.arguments ?? {}, forEach: step.forEach?.trim(), onError };
+  });
+  checkReferences(definition.output, { where: 'output', parameters: properties, stepIds, allowItem: false });
+
+  return {
+    name,
+    toolName: `${RECIPE_TOOL_PREFIX}${name}`,
+    description: definition.description || `Recipe ${name}`,
+    inputSchema: { type: 'object', properties, required },
+    steps,
+    output: definition.output,
+    file
+  };
+}
+
+/**
+ * Convert scalar arguments to the types the tool's schema declares
+ * Templates keep the type of what they refer to, so an ID read from a SuiteQL
+ * row is a number even where the tool wants a string, and vice versa.
+ */
+function coerceArguments(tool, args) {
+  const properties = tool?.inputSchema?.properties || {};
+  return Object.fromEntries(Object.entries(args).map(([key, value]) => {
+    const type = properties[key]?.type;
+    if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+      return [key, String(value)];
+    }
+    if ((type === 'integer' || type === 'number') && typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+      return [key, Number(value)];
+    }
+    return [key, value];
+  }));
+}
+
+/**
+ * Describe a failed tool result
+ */
+function failureMessage(result) {
+  const payload = parseToolResult(result);
+  return typeof payload === 'string' ? payload : JSON.stringify(payload);
+}
+
+/**
+ * Run a recipe
+ * Steps run in order. A failed step stops the recipe unless it has
+ * onError: continue, in which case its result is null for later steps.
+ * @param {NetSuiteMCPTools} mcpTools - Tools client
+ * @param {Object} recipe - Recipe from compileRecipe()
+ * @param {Object} params - Recipe arguments
+ * @param {Object} [options]
+ * @param {string} [options.profile] - Session profile
+ * @param {Object} [options.trace] - Passed to executeTool() to collect request ids
+ * @param {AbortSignal} [options.signal] - Stops before the next call when aborted (request cancelled)
+ * @param {SuiteQLGuard} [options.suiteqlGuard] - Checks SuiteQL steps after their templates are filled in
+ * @returns {Promise<Object>} { recipe, status, output, failedStep?, steps } with one trace entry per step
+ */
+export async function runRecipe(mcpTools, recipe, params, options = {}) {
+  const { profile, trace, signal, suiteqlGuard } = options;
+
+  // Fail before the first call instead of halfway through
+  for (const tool of new Set(recipe.steps.map(step => step.tool))) {
+    await mcpTools.checkPolicy(tool, profile);
+  }
+
+  const defaults = Object.fromEntries(Object.entries(recipe.inputSchema.properties)
+    .filter(([, schema]) => schema.default !== undefined)
+    .map(([name, schema]) => [name, schema.default]));
+  const context = { params: { ...defaults, ...params }, steps: {} };
+
+  const call = async (step, args, entry) => {
+    const tool = await mcpTools.getTool(step.tool, profile).catch(() => null);
+    // Parameters end up inside the query, so check the query as it will be sent
+    if (suiteqlGuard && mcpTools.endpoints.upstreamName(step.tool) === SUITEQL_TOOL) {
+      const hints = suiteqlGuard.check(args[getQueryArgument(tool)]);
+      if (hints.length > 0) {
+        entry.hints = hints;
+      }
+    }
+    const result = await mcpTools.executeTool(step.tool, coerceArguments(tool, args), { profile, trace });
+    if (result?.isError) {
+      throw new Error(failureMessage(result));
+    }
+    return parseToolResult(result);
+  };
+
+  console.error(`🧩 Running recipe ${recipe.name} (${recipe.steps.length} step(s))`);
+  const report = [];
+  let status = 'completed';
+  let failedStep;
+  let lastResult;
+
+  for (const [index, step] of recipe.steps.entries()) {
+    if (status !== 'completed' || signal?.aborted) {
+      status = status === 'completed' ? 'cancelled' : status;
+      report.push({ id: step.id, tool: step.tool, status: 'skipped' });
+      continue;
+    }
+
+    console.error(`🧩 ${recipe.name} step ${index + 1}/${recipe.steps.length}: ${step.id} (${step.tool})`);
+    const startedAt = Date.now();
+    const entry = { id: step.id, tool: step.tool };
+    let cancelled = false;
+    try {
+      if (step.forEach) {
+        const items = resolveTemplate(step.forEach, context);
+        if (!Array.isArray(items)) {
+          throw new Error(`forEach gave ${items === undefined ? 'nothing' : typeof items}, not a list`);
+        }
+        if (items.length > MAX_FOR_EACH_ITEMS) {
+          throw new Error(`forEach gave ${items.length} items, more than the limit of ${MAX_FOR_EACH_ITEMS}`);
+        }
+        entry.iterations = items.length;
+        entry.result = [];
+        for (const item of items) {
+          if (signal?.aborted) {
+            cancelled = true;
+            break;
+          }
+          const args = resolveTemplate(step.arguments, { ...context, item });
+          try {
+            entry.result.push(await call(step, args, entry));
+          } catch (error) {
+            if (step.onError === 'stop') {
+              throw new Error(`item ${entry.result.length + 1}: ${error.message}`);
+            }
+            entry.errors = [...(entry.errors || []), { item: entry.result.length + 1, error: error.message }];
+            entry.result.push(null);
+          }
+        }
+      } else {
+        entry.arguments = resolveTemplate(step.arguments, context);
+        entry.result = await call(step, entry.arguments, entry);
+      }
+      if (cancelled) {
+        // Stopped partway through the items: don't report the step as done
+        entry.status = 'cancelled';
+        entry.completedIterations = entry.result.length;
+        status = 'cancelled';
+      } else {
+        entry.status = entry.errors ? 'partial' : 'ok';
+        context.steps[step.id] = entry.result;
+        lastResult = entry.result;
+      }
+    } catch (error) {
+      entry.status = 'error';
+      entry.error = error.message;
+      delete entry.result;
+      context.steps[step.id] = null;
+      if (step.onError === 'stop') {
+        status = 'failed';
+        failedStep = step.id;
+      }
+    }
+    entry.durationMs = Date.now() - startedAt;
+    report.push(entry);
+  }
+
+  let output;
+  if (status === 'completed') {
+    try {
+      output = recipe.output === undefined ? lastResult : resolveTemplate(recipe.output, context);
+    } catch (error) {
+      status = 'failed';
+      failedStep = 'output';
+      report.push({ id: 'output', status: 'error', error: error.message });
+    }
+  }
+
+  console.error(`🧩 Recipe ${recipe.name} ${status}${failedStep ? ` at ${failedStep}` : ''}`);
+  return {
+    recipe: recipe.name,
+    status,
+    ...(failedStep ? { failedStep } : {}),
+    output,
+    steps: report
+  };
+}
+
+export class RecipeBook {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory with *.yaml / *.yml / *.json recipe files
+   */
+  constructor(options) {
+    this.directory = options.directory;
+    // File -> { mtimeMs, recipe?, error? }; unchanged files aren't parsed again
+    this.files = new Map();
+  }
+
+  /**
+   * Read the recipes directory
+   * Files are re-read when they change, so recipes can be edited without a
+   * restart. Invalid files are logged once and left out.
+   * @returns {Promise<Map<string, Object>>} Tool name -> recipe
+   */
+  async load() {
+    let names;
+    try {
+      names = (await fs.readdir(this.directory)).filter(name => RECIPE_FILE_PATTERN.test(name)).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`⚠️  Cannot read recipes directory ${this.directory}:`, error.message);
+      }
+      names = [];
+    }
+
+    const files = new Map();
+    for (const name of names) {
+      const file = path.join(this.directory, name);
+      try {
+        const { mtimeMs } = await fs.stat(file);
+        const cached = this.files.get(file);
+        files.set(file, cached?.mtimeMs === mtimeMs ? cached : { mtimeMs, ...await this.parse(file) });
+      } catch (error) {
+        // Removed while reading
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    this.files = files;
+
+    const recipes = new Map();
+    for (const [file, entry] of files) {
+      if (!entry.recipe) {
+        continue;
+      }
+      if (recipes.has(entry.recipe.toolName)) {
+        if (!entry.duplicateLogged) {
+          console.error(`⚠️  Ignoring recipe ${file}: ${recipes.get(entry.recipe.toolName).file} already defines "${entry.recipe.name}"`);
+          entry.duplicateLogged = true;
+        }
+        continue;
+      }
+      recipes.set(entry.recipe.toolName, entry.recipe);
+    }
+    return recipes;
+  }
+
+  /**
+   * Parse and check one recipe file
+   * @returns {Promise<{recipe?: Object, error?: string}>}
+   */
+  async parse(file) {
+    try {
+      const text = await fs.readFile(file, 'utf8');
+      const definition = /\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text);
+      return { recipe: compileRecipe(definition, file) };
+    } catch (error) {
+      console.error(`⚠️  Ignoring recipe ${file}: ${error.message}`);
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Find the recipe listed as a tool
+   * @param {string} toolName - recipe_<name>
+   * @returns {Promise<Object|undefined>}
+   */
+  async get(toolName) {
+    return (await this.load()).get(toolName);
+  }
+
+  /**
+   * Tool definition of a recipe
+   * @param {Object} recipe - Recipe from compileRecipe()
+   * @returns {Object} MCP tool definition
+   */
+  getTool(recipe) {
+    return {
+      name: recipe.toolName,
+      description: `${recipe.description} (recipe: ${recipe.steps.map(step => step.tool).join(' → ')}; ` +
+        'returns the recipe output and a trace of every step)',
+      inputSchema: recipe.inputSchema
+    };
+  }
+
+  /**
+   * Describe the recipes for the startup log
+   * @returns {Promise<string>}
+   */
+  async describe() {
+    const recipes = await this.load();
+    return `${recipes.size} recipe${recipes.size === 1 ? '' : 's'} in ${this.directory}`;
+  }
+}
@@ -0,0 +1,499 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { extractRows, parseToolResult } from './results.js';
+import { SuiteQLGuardError } from './suiteqlGuard.js';
+import { runSuiteQLAll } from './suiteqlPager.js';
+import { getRecordArgumentKeys } from './writeConfirmation.js';
+import { fuzzyScore } from '../utils/fuzzy.js';
+
+/**
+ * Record metadata
+ * Builds a per-account picture of record types and fields for
+ * netsuite_describe_record, using SuiteQL through the upstream tool:
+ *   - custom record types (customrecordtype) and custom fields (customfield),
+ *     loaded once per account
+ *   - the fields of a record, from NetSuite's record metadata tool when the
+ *     account lists one, otherwise from a small sample of its rows (reported
+ *     as partial)
+ * Standard record types and their joins come from a built-in list, since
+ * NetSuite has no SuiteQL table describing them. Tables and fields blocked by
+ * the SuiteQL guard are never read or listed.
+ * Metadata is cached in memory and, optionally, in
+ * <directory>/<accountId>.metadata.json.
+ */
+
+// Common standard SuiteQL record types
+export const STANDARD_RECORDS = {
+  account: 'Account',
+  accountingperiod: 'Accounting Period',
+  calendarevent: 'Event',
+  classification: 'Class',
+  contact: 'Contact',
+  currency: 'Currency',
+  customer: 'Customer',
+  department: 'Department',
+  employee: 'Employee',
+  entity: 'Entity (customers, vendors, employees, contacts, partners)',
+  file: 'File',
+  item: 'Item',
+  job: 'Project',
+  location: 'Location',
+  partner: 'Partner',
+  phonecall: 'Phone Call',
+  subsidiary: 'Subsidiary',
+  supportcase: 'Support Case',
+  systemnote: 'System Note (audit trail)',
+  task: 'Task',
+  term: 'Term',
+  transaction: 'Transaction (sales orders, invoices, bills, ...)',
+  transactionaccountingline: 'Transaction Accounting Line',
+  transactionline: 'Transaction Line',
+  vendor: 'Vendor'
+};
+
+// Join columns of standard record types: field -> referenced record type
+const STANDARD_JOINS = {
+  transaction: { entity: 'entity', employee: 'employee', subsidiary: 'subsidiary', currency: 'currency', postingperiod: 'accountingperiod', terms: 'term' },
+  transactionline: { transaction: 'transaction', item: 'item', entity: 'entity', department: 'department', class: 'classification', location: 'location', subsidiary: 'subsidiary', expenseaccount: 'account' },
+  transactionaccountingline: { transaction: 'transaction', account: 'account' },
+  customer: { parent: 'customer', subsidiary: 'subsidiary', salesrep: 'employee', terms: 'term', currency: 'currency' },
+  vendor: { subsidiary: 'subsidiary', currency: 'currency', terms: 'term' },
+  employee: { department: 'department', location: 'location', subsidiary: 'subsidiary', supervisor: 'employee' },
+  contact: { company: 'entity', subsidiary: 'subsidiary' },
+  item: { parent: 'item', department: 'department', class: 'classification', location: 'location' },
+  job: { parent: 'customer', subsidiary: 'subsidiary' },
+  supportcase: { company: 'entity', assigned: 'employee' },
+  systemnote: { name: 'entity' }
+};
+
+// Record types custom fields apply to, by script ID prefix
+const CUSTOM_FIELD_PREFIXES = [
+  ['custbody', ['transaction']],
+  ['custcol', ['transactionline']],
+  ['custentity', ['entity', 'customer', 'vendor', 'employee', 'contact', 'partner', 'job']],
+  ['custitem', ['item']],
+  ['custevent', ['calendarevent', 'task', 'phonecall', 'supportcase']]
+];
+
+// Upstream tools describing the fields of a record type
+export const RECORD_METADATA_TOOLS = ['ns_getRecordTypeMetadata', 'ns_getSuiteQLMetadata'];
+
+// Keys holding a field's id, label and type in metadata tool results
+const FIELD_ID_KEYS = ['id', 'fieldId', 'scriptId', 'scriptid', 'name'];
+const FIELD_LABEL_KEYS = ['label', 'title', 'name'];
+const FIELD_TYPE_KEYS = ['type', 'fieldType', 'dataType'];
+
+const RECORD_TYPE_PATTERN = /^[a-z][a-z0-9_]*$/i;
+const SAMPLE_ROWS = 25; // rows read to discover a record's columns
+const MAX_METADATA_ROWS = 5000; // cap for custom record types / custom fields
+const MIN_SEARCH_SCORE = 0.5;
+
+/**
+ * Pick the first string value among a list of keys
+ */
+function pickString(object, keys) {
+  const key = keys.find(candidate => typeof object[candidate] === 'string' && object[candidate] !== '');
+  return key ? object[key] : undefined;
+}
+
+/**
+ * Read the fields out of a metadata tool result
+ * Accepts a JSON schema ({ properties: { id: { type, title } } }), an object
+ * of field definitions under "fields", or rows of field definitions.
+ * @param {*} payload - Parsed payload (see parseToolResult)
+ * @returns {Object|null} Field id -> { type, label }, or null if no fields were found
+ */
+export function extractMetadataFields(payload) {
+  const source = payload?.properties || payload?.fields;
+  const definitions = source && typeof source === 'object' && !Array.isArray(source)
+    ? Object.entries(source).map(([id, definition]) => ({ id, ...definition }))
+    : extractRows(Array.isArray(source) ? source : payload);
+  if (!definitions || definitions.length === 0) {
+    return null;
+  }
+
+  const fields = {};
+  for (const definition of definitions) {
+    const id = pickString(definition, FIELD_ID_KEYS);
+    if (id) {
+      const label = pickString(definition, FIELD_LABEL_KEYS);
+      fields[id.toLowerCase()] = {
+        type: definition.format === 'date' || definition.format === 'date-time' ? 'date' : pickString(definition, FIELD_TYPE_KEYS),
+        label: label !== id ? label : undefined
+      };
+    }
+  }
+  return Object.keys(fields).length > 0 ? fields : null;
+}
+
+/**
+ * Guess a field type from a sampled value
+ */
+function inferType(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'float';
+  }
+  if (typeof value === 'boolean' || value === 'T' || value === 'F') {
+    return 'checkbox';
+  }
+  if (/^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}/.test(value)) {
+    return 'date';
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return 'number';
+  }
+  return 'text';
+}
+
+export class RecordMetadata {
+  /**
+   * @param {NetSuiteMCPTools} mcpTools - Tools client (runs the SuiteQL queries)
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Persist metadata here (memory only when omitted)
+   * @param {number} [options.ttl] - Age in ms after which metadata is rebuilt (default 24 hours)
+   * @param {SuiteQLGuard} [options.suiteqlGuard] - Checks the metadata queries; its blocked tables and fields are left out
+   */
+  constructor(mcpTools, options = {}) {
+    this.mcpTools = mcpTools;
+    this.suiteqlGuard = options.suiteqlGuard;
+    this.directory = options.directory;
+    this.ttl = options.ttl ?? 24 * 60 * 60 * 1000;
+    this.accounts = new Map(); // accountId -> metadata
+    this.building = new Map(); // accountId -> in-flight build
+  }
+
+  /**
+   * Check whether the SuiteQL guard hides a table, or a field of it
+   * @param {string} table - Record type
+   * @param {string} [field] - Field id
+   * @returns {boolean}
+   */
+  isBlocked(table, field) {
+    if (!this.suiteqlGuard) {
+      return false;
+    }
+    return Boolean(this.suiteqlGuard.blockedTable(table) || (field !== undefined && this.suiteqlGuard.blockedField(table, field)));
+  }
+
+  /**
+   * Get the metadata file of an account
+   */
+  getFile(accountId) {
+    const name = accountId.toLowerCase().replace(/[^a-z0-9_-]/g, '_');
+    return path.join(this.directory, `${name}.metadata.json`);
+  }
+
+  /**
+   * Load persisted metadata (null if missing or unreadable)
+   */
+  async load(accountId) {
+    if (!this.directory) {
+      return null;
+    }
+    try {
+      return JSON.parse(await fs.readFile(this.getFile(accountId), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`⚠️  Ignoring unreadable record metadata for ${accountId}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Persist metadata (atomically; errors are logged, not thrown)
+   */
+  async save(metadata) {
+    if (!this.directory) {
+      return;
+    }
+    const filePath = this.getFile(metadata.accountId);
+    const tempFile = `${filePath}.${process.pid}.tmp`;
+    try {
+      await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+      await fs.writeFile(tempFile, JSON.stringify(metadata), { mode: 0o600 });
+      await fs.rename(tempFile, filePath);
+    } catch (error) {
+      console.error(`⚠️  Failed to save record metadata for ${metadata.accountId}:`, error.message);
+      await fs.rm(tempFile, { force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Get the account-wide metadata (custom record types and fields), building it if needed
+   * @param {string} profile - Session profile
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Rebuild even if the cached metadata is fresh
+   * @param {Object} [options.trace] - Passed to executeTool() to collect request ids
+   * @returns {Promise<Object>} Metadata
+   */
+  async getAccount(profile, options = {}) {
+    const accountId = await this.mcpTools.oauthManager.getAccountId(profile);
+    if (!accountId) {
+      throw new Error(`No account known for profile "${profile}"`);
+    }
+
+    const cached = this.accounts.get(accountId) || await this.load(accountId);
+    if (cached && !options.refresh && Date.now() - cached.fetchedAt < this.ttl) {
+      this.accounts.set(accountId, cached);
+      return cached;
+    }
+
+    // Concurrent calls share one build
+    if (!this.building.has(accountId)) {
+      const build = this.build(accountId, profile, options.trace)
+        .finally(() => this.building.delete(accountId));
+      this.building.set(accountId, build);
+    }
+    return await this.building.get(accountId);
+  }
+
+  /**
+   * Read custom record types and custom fields from NetSuite
+   */
+  async build(accountId, profile, trace) {
+    console.error(`🗂️  Building record metadata for ${accountId}...`);
+    const notes = [];
+
+    const query = async (sql, label) => {
+      try {
+        this.suiteqlGuard?.check(sql, { paged: true });
+        const result = await runSuiteQLAll(this.mcpTools, { query: sql, maxRows: MAX_METADATA_ROWS, profile, trace });
+        if (result.truncated) {
+          notes.push(`Only the first ${MAX_METADATA_ROWS} ${label} were loaded.`);
+        }
+        return result.rows;
+      } catch (error) {
+        // Missing permissions for one source shouldn't hide the other
+        notes.push(`${label} unavailable: ${error.message}`);
+        return [];
+      }
+    };
+
+    const customRecords = (await query('SELECT * FROM customrecordtype', 'custom record types'))
+      .filter(row => row.scriptid)
+      .map(row => ({
+        id: String(row.scriptid).toLowerCase(),
+        label: row.name || String(row.scriptid),
+        internalId: row.internalid ?? row.id
+      }));
+
+    const customFields = (await query('SELECT * FROM customfield', 'custom fields'))
+      .filter(row => row.scriptid)
+      .map((row) => {
+        const id = String(row.scriptid).toLowerCase();
+        let appliesTo = CUSTOM_FIELD_PREFIXES.find(([prefix]) => id.startsWith(prefix))?.[1] || [];
+        if (id.startsWith('custrecord')) {
+          const owner = customRecords.find(record => record.internalId !== undefined && String(record.internalId) === String(row.recordtype));
+          appliesTo = owner ? [owner.id] : [];
+        }
+        return {
+          id,
+          label: row.name || id,
+          type: row.fieldvaluetype || row.fieldtype || undefined,
+          references: row.fieldvaluetyperecord || undefined,
+          appliesTo
+        };
+      });
+
+    const metadata = { accountId, fetchedAt: Date.now(), customRecords, customFields, records: {}, notes };
+    this.accounts.set(accountId, metadata);
+    await this.save(metadata);
+
+    console.error(`✅ Record metadata for ${accountId}: ${customRecords.length} custom record type(s), ${customFields.length} custom field(s)`);
+    return metadata;
+  }
+
+  /**
+   * List record types (standard and custom)
+   * @returns {Promise<{accountId: string, recordTypes: Object[], notes: string[]}>}
+   */
+  async listRecordTypes(profile, options = {}) {
+    const metadata = await this.getAccount(profile, options);
+    return {
+      accountId: metadata.accountId,
+      recordTypes: [
+        ...Object.entries(STANDARD_RECORDS).map(([id, label]) => ({ id, label, custom: false })),
+        ...metadata.customRecords.map(record => ({ id: record.id, label: record.label, custom: true }))
+      ].filter(record => !this.isBlocked(record.id)),
+      notes: metadata.notes
+    };
+  }
+
+  /**
+   * Describe a record type: fields, custom fields and joins
+   * @param {string} profile - Session profile
+   * @param {string} recordType - SuiteQL record type (e.g. "customer", "customrecord_project_phase")
+   * @param {Object} [options] - See getAccount()
+   * @returns {Promise<Object>} Description
+   */
+  async describe(profile, recordType, options = {}) {
+    if (!RECORD_TYPE_PATTERN.test(recordType || '')) {
+      throw new Error(`Invalid record type "${recordType}" (letters, digits and _ only)`);
+    }
+    const type = recordType.toLowerCase();
+    const blocked = this.suiteqlGuard?.blockedTable(type);
+    if (blocked) {
+      throw new SuiteQLGuardError([{ rule: 'blocked-table', message: `Table ${type} is blocked on this server (${blocked.pattern}). Answer without it.` }]);
+    }
+    const metadata = await this.getAccount(profile, options);
+
+    let record = metadata.records[type];
+    if (!record?.source || options.refresh) {
+      record = await this.readFromMetadataTool(type, profile, options.trace) ||
+        await this.readFromSample(type, profile, options.trace);
+      metadata.records[type] = record;
+      await this.save(metadata);
+    }
+
+    const customFields = metadata.customFields.filter(field => field.appliesTo.includes(type) && !this.isBlocked(type, field.id));
+    const customById = new Map(customFields.map(field => [field.id, field]));
+    const fields = [
+      ...Object.entries(record.fields)
+        .filter(([id]) => !customById.has(id.toLowerCase()) && !this.isBlocked(type, id))
+        .map(([id, field]) => ({ id, label: field.label, type: field.type, custom: false })),
+      ...customFields.map(field => ({ id: field.id, label: field.label, type: field.type, custom: true, references: field.references }))
+    ].sort((a, b) => a.id.localeCompare(b.id));
+
+    const joins = [
+      ...Object.entries(STANDARD_JOINS[type] || {})
+        .filter(([field, target]) => !this.isBlocked(type, field) && !this.isBlocked(target))
+        .map(([field, target]) => ({ field, references: target, on: `${type}.${field} = ${target}.id` })),
+      ...customFields.filter(field => field.references && !this.isBlocked(String(field.references).toLowerCase()))
+        .map(field => ({ field: field.id, references: field.references }))
+    ];
+
+    const customRecord = metadata.customRecords.find(candidate => candidate.id === type);
+    const partial = record.source === 'sample';
+    return {
+      accountId: metadata.accountId,
+      recordType: type,
+      label: STANDARD_RECORDS[type] || customRecord?.label,
+      custom: Boolean(customRecord),
+      source: record.source,
+      partial,
+      fields,
+      joins,
+      notes: [
+        partial
+          ? `Partial field list: no record metadata tool (${RECORD_METADATA_TOOLS.join(', ')}) is available, so standard fields are the columns found in a sample of ${record.sampledRows} row(s). Fields NetSuite leaves out of the sampled rows are missing${record.sampledRows === 0 ? ', and the table had no rows' : ''}.`
+          : `Standard fields come from ${record.source}.`,
+        ...metadata.notes
+      ]
+    };
+  }
+
+  /**
+   * Read a record's fields with NetSuite's record metadata tool
+   * @returns {Promise<Object|null>} Record metadata, or null if no metadata tool is available or it returned no fields
+   */
+  async readFromMetadataTool(type, profile, trace) {
+    const tools = await this.mcpTools.fetchAllowedTools(profile);
+    const tool = tools.find(candidate => RECORD_METADATA_TOOLS.includes(this.mcpTools.endpoints.upstreamName(candidate.name)));
+    if (!tool) {
+      return null;
+    }
+
+    const { typeKey } = getRecordArgumentKeys(tool);
+    const result = await this.mcpTools.executeTool(tool.name, { [typeKey]: type }, { profile, trace });
+    const payload = parseToolResult(result);
+    if (result?.isError) {
+      throw new Error(`Can't read record type "${type}": ${typeof payload === 'string' ? payload : JSON.stringify(payload)}. Search for the record type with netsuite_describe_record { "search": "..." }.`);
+    }
+
+    const fields = extractMetadataFields(payload);
+    if (!fields) {
+      console.error(`⚠️  ${tool.name} returned no fields for ${type}, sampling rows instead`);
+      return null;
+    }
+    return { fetchedAt: Date.now(), source: this.mcpTools.endpoints.upstreamName(tool.name), fields };
+  }
+
+  /**
+   * Read a record's columns from a sample of its rows (partial: empty columns may be missing)
+   * @returns {Promise<Object>} Record metadata
+   */
+  async readFromSample(type, profile, trace) {
+    // The ROWNUM condition bounds the scan, so the guard accepts SELECT * on large tables
+    const query = `SELECT * FROM ${type} WHERE ROWNUM <= ${SAMPLE_ROWS}`;
+    this.suiteqlGuard?.check(query);
+
+    let result;
+    try {
+      result = await runSuiteQLAll(this.mcpTools, { query, pageSize: SAMPLE_ROWS, maxRows: SAMPLE_ROWS, profile, trace });
+    } catch (error) {
+      throw new Error(`Can't read record type "${type}": ${error.message.replace(/\.+$/, '')}. Search for the record type with netsuite_describe_record { "search": "..." }.`);
+    }
+
+    // A column's type is guessed from its first non-empty value
+    const fields = {};
+    for (const row of result.rows) {
+      for (const [id, value] of Object.entries(row)) {
+        if (fields[id]?.type === undefined) {
+          fields[id] = { type: value !== null && value !== '' ? inferType(value) : undefined };
+        }
+      }
+    }
+    return { fetchedAt: Date.now(), source: 'sample', sampledRows: result.rows.length, fields };
+  }
+
+  /**
+   * Fuzzy search over record types, field ids and labels
+   * @param {string} profile - Session profile
+   * @param {string} query - Search phrase (e.g. "sales rep", "approval status")
+   * @param {Object} [options]
+   * @param {string} [options.recordType] - Only fields of this record type
+   * @param {number} [options.limit] - Maximum matches (default 20)
+   * @param {boolean} [options.refresh] - Rebuild the metadata first
+   * @param {Object} [options.trace] - Passed to executeTool() to collect request ids
+   * @returns {Promise<{accountId: string, query: string, matches: Object[], notes: string[]}>}
+   */
+  async search(profile, query, options = {}) {
+    const candidates = [];
+    let metadata;
+    let description;
+
+    if (options.recordType) {
+      description = await this.describe(profile, options.recordType, options);
+      metadata = await this.getAccount(profile);
+      candidates.push(...description.fields.map(field => ({ kind: 'field', recordType: description.recordType, ...field })));
+    } else {
+      metadata = await this.getAccount(profile, options);
+      const { recordTypes } = await this.listRecordTypes(profile);
+      candidates.push(...recordTypes.map(record => ({ kind: 'record', ...record })));
+      for (const field of metadata.customFields) {
+        const appliesTo = field.appliesTo.filter(type => !this.isBlocked(type, field.id));
+        if (field.appliesTo.length > 0 && appliesTo.length === 0) {
+          continue;
+        }
+        candidates.push({
+          kind: 'field',
+          recordType: appliesTo.join(', ') || undefined,
+          id: field.id,
+          label: field.label,
+          type: field.type,
+          custom: true
+        });
+      }
+      // Standard fields of records described earlier
+      for (const [recordType, record] of Object.entries(metadata.records)) {
+        if (record.source) {
+          candidates.push(...Object.entries(record.fields).map(([id, field]) => ({ kind: 'field', recordType, id, label: field.label, type: field.type, custom: false })));
+        }
+      }
+    }
+
+    const matches = candidates
+      .filter(candidate => !(candidate.kind === 'field' && !candidate.custom && this.isBlocked(candidate.recordType, candidate.id)))
+      .map(candidate => ({ ...candidate, score: Math.max(fuzzyScore(query, candidate.id), fuzzyScore(query, candidate.label)) }))
+      .filter(candidate => candidate.score >= MIN_SEARCH_SCORE)
+      .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+      .slice(0, options.limit || 20)
+      .map(match => ({ ...match, score: Math.round(match.score * 100) / 100 }));
+
+    const notes = description
+      ? description.notes
+      : ['Standard fields are only searched for record types described before; describe a record type to search all of its fields.', ...metadata.notes];
+    return { accountId: metadata.accountId, query, matches, notes };
+  }
+}
@@ -0,0 +1,70 @@
+import { RESULT_FORMATS } from './formatter.js';
+
+/**
+ * Reserved tool arguments
+ * Proxy-level options that can be passed alongside any NetSuite tool call.
+ * They are stripped before the call is forwarded to NetSuite.
+ */
+
+export const RESERVED_ARGUMENTS = {
+  _profile: {
+    type: 'string',
+    description: 'Session profile to run this call against (e.g. "prod", "sb1"). Defaults to the server\'s active profile.'
+  },
+  _format: {
+    type: 'string',
+    enum: RESULT_FORMATS,
+    description: 'Result format: "json" (pretty, default), "compact" (single-line JSON), "markdown" (table) or "csv". Tabular formats apply to results with rows; others fall back to compact JSON.'
+  }
+};
+
+// Reserved arguments only advertised on the tools that use them
+export const SCOPED_RESERVED_ARGUMENTS = {
+  _confirmationToken: {
+    type: 'string',
+    description: 'Confirmation token from the preview returned by the first call. Re-send the same arguments with this token to apply the change.'
+  },
+  _noCache: {
+    type: 'boolean',
+    description: 'Skip the response cache and fetch a fresh result from NetSuite (the cache is updated with it).'
+  }
+};
+
+/**
+ * Split tool arguments into reserved proxy options and NetSuite arguments
+ * @param {Object} [args] - Raw tool arguments
+ * @returns {{reserved: Object, args: Object}}
+ */
+export function extractReservedArguments(args = {}) {
+  const reserved = {};
+  const forwarded = {};
+
+  for (const [key, value] of Object.entries(args || {})) {
+    if (key in RESERVED_ARGUMENTS || key in SCOPED_RESERVED_ARGUMENTS) {
+      reserved[key] = value;
+    } else {
+      forwarded[key] = value;
+    }
+  }
+
+  return { reserved, args: forwarded };
+}
+
+/**
+ * Advertise reserved arguments in a tool's input schema
+ * @param {Object} tool - Tool definition from NetSuite
+ * @returns {Object} Tool definition with reserved arguments added
+ */
+export function withReservedArguments(tool) {
+  const schema = tool.inputSchema || { type: 'object' };
+  return {
+    ...tool,
+    inputSchema: {
+      ...schema,
+      properties: {
+        ...(schema.properties || {}),
+        ...RESERVED_ARGUMENTS
+      }
+    }
+  };
+}
@@ -0,0 +1,320 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { DEFAULT_WRITE_TOOLS } from './policy.js';
+import { SCOPED_RESERVED_ARGUMENTS } from './reservedArgs.js';
+import { canonicalize } from '../utils/canonicalJson.js';
+import { globToRegExp, matchesAny } from '../utils/glob.js';
+
+/**
+ * Response cache
+ * Caches results of read-only tools (SuiteQL, reports) keyed on account,
+ * session profile, tool name and normalized arguments. Profiles of one
+ * account may log in with different roles, so they never share entries. Entries live in an in-memory LRU and,
+ * optionally, as JSON files so they survive restarts.
+ */
+
+export const DEFAULT_CACHED_TOOLS = ['ns_runCustomSuiteQL', 'ns_runReport'];
+
+// Key of the cache details added to the _meta of cached results
+export const CACHE_META_KEY = 'netsuite-mcp/cache';
+
+const MAX_ENTRY_BYTES = 2 * 1024 * 1024; // larger results are not cached
+const ENTRY_FILE_PATTERN = /^([a-z0-9_-]+)--([A-Za-z0-9_-]+)--[0-9a-f]{64}\.json$/;
+
+/**
+ * Make a value safe for use in a file name
+ */
+function slug(value) {
+  return String(value).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+/**
+ * Normalize tool arguments: trim strings, drop empty values, sort keys (via canonicalize)
+ */
+function normalizeArguments(value) {
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeArguments);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, item]) => item !== undefined && item !== null)
+      .map(([key, item]) => [key, normalizeArguments(item)]));
+  }
+  return value;
+}
+
+/**
+ * Parse a "tool[:ttlSeconds]" list
+ * @param {string} spec - e.g. "ns_runCustomSuiteQL:300,ns_runReport:900,ns_runSavedSearch"
+ * @returns {Array<{pattern: string, ttl?: number}>}
+ */
+export function parseCachedTools(spec) {
+  return spec.split(',').map(item => item.trim()).filter(Boolean).map((item) => {
+    const [pattern, ttl] = item.split(':').map(part => part.trim());
+    if (ttl !== undefined && !/^\d+$/.test(ttl)) {
+      throw new Error(`Invalid cache TTL "${ttl}" for ${pattern} (seconds expected)`);
+    }
+    return ttl === undefined ? { pattern } : { pattern, ttl: parseInt(ttl, 10) * 1000 };
+  });
+}
+
+export class ResponseCache {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled] - Cache responses (default false)
+   * @param {Array<string|{pattern: string, ttl?: number}>} [options.tools] - Cached tools (globs, optional TTL in ms each)
+   * @param {number} [options.ttl] - Default TTL in ms (default 5 minutes)
+   * @param {number} [options.maxEntries] - Entries kept in memory and on disk (default 100)
+   * @param {string} [options.directory] - Persist entries here (memory only when omitted)
+   * @param {string[]} [options.writeTools] - Globs of write tools; never cached, and they invalidate the account's entries
+   * @param {McpEndpoints} [options.endpoints] - Resolves namespaced tool names to their upstream names
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled === true;
+    this.ttl = options.ttl ?? 5 * 60 * 1000;
+    this.maxEntries = options.maxEntries ?? 100;
+    this.directory = options.directory;
+    this.writeTools = options.writeTools || DEFAULT_WRITE_TOOLS;
+    this.endpoints = options.endpoints;
+    this.entries = new Map(); // key -> entry, least recently used first
+
+    this.tools = (options.tools || DEFAULT_CACHED_TOOLS)
+      .map(tool => (typeof tool === 'string' ? { pattern: tool } : tool))
+      .filter((tool) => {
+        if (matchesAny(tool.pattern, this.writeTools)) {
+          console.error(`⚠️  Not caching ${tool.pattern}: it is a write tool`);
+          return false;
+        }
+        return true;
+      });
+  }
+
+  /**
+   * Get the TTL of a tool's responses
+   * @param {string} toolName - Tool name
+   * @returns {number|null} TTL in ms, or null if the tool is not cached
+   */
+  ttlFor(toolName) {
+    if (!this.enabled || this.isWriteTool(toolName)) {
+      return null;
+    }
+    const names = [toolName, this.endpoints?.upstreamName(toolName) ?? toolName];
+    const tool = this.tools.find(candidate => names.some(name => globToRegExp(candidate.pattern).test(name)));
+    return tool ? (tool.ttl ?? this.ttl) : null;
+  }
+
+  /**
+   * Check if a tool's responses are cached
+   * @param {string} toolName - Tool name
+   * @returns {boolean}
+   */
+  isCacheable(toolName) {
+    return this.ttlFor(toolName) !== null;
+  }
+
+  /**
+   * Check if a tool changes records (its success invalidates the account's entries)
+   * @param {string} toolName - Tool name
+   * @returns {boolean}
+   */
+  isWriteTool(toolName) {
+    return matchesAny(this.endpoints?.upstreamName(toolName) ?? toolName, this.writeTools);
+  }
+
+  /**
+   * Advertise the cache bypass argument on cached tools
+   * @param {Object} tool - Tool definition
+   * @returns {Object} Tool definition
+   */
+  decorateTool(tool) {
+    if (!this.isCacheable(tool.name)) {
+      return tool;
+    }
+
+    const schema = tool.inputSchema || { type: 'object' };
+    return {
+      ...tool,
+      inputSchema: {
+        ...schema,
+        properties: {
+          ...(schema.properties || {}),
+          _noCache: SCOPED_RESERVED_ARGUMENTS._noCache
+        }
+      }
+    };
+  }
+
+  /**
+   * Build the cache key of a call (also the entry's file name without .json)
+   * @param {string} toolName - Tool name
+   * @param {string} accountId - NetSuite account ID
+   * @param {string} profile - Session profile (its role decides what the result may contain)
+   * @param {Object} args - Tool arguments (reserved arguments removed)
+   * @returns {string}
+   */
+  key(toolName, accountId, profile, args) {
+    const account = accountId.toLowerCase();
+    const hash = crypto.createHash('sha256')
+      .update(canonicalize({ account, profile, tool: toolName, args: normalizeArguments(args || {}) }))
+      .digest('hex');
+    return `${slug(account)}--${slug(toolName)}--${hash}`;
+  }
+
+  /**
+   * Look up a cached response
+   * @returns {Promise<{result: Object, cachedAt: number, expiresAt: number}|null>} Entry, or null on a miss
+   */
+  async get(toolName, accountId, profile, args) {
+    const key = this.key(toolName, accountId, profile, args);
+    const entry = this.entries.get(key) || await this.readEntry(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Store a response
+   * Results larger than MAX_ENTRY_BYTES are not cached.
+   */
+  async set(toolName, accountId, profile, args, result) {
+    const ttl = this.ttlFor(toolName);
+    const text = JSON.stringify(result);
+    if (ttl === null || Buffer.byteLength(text) > MAX_ENTRY_BYTES) {
+      return;
+    }
+
+    const key = this.key(toolName, accountId, profile, args);
+    const cachedAt = Date.now();
+    const entry = { tool: toolName, accountId, profile, cachedAt, expiresAt: cachedAt + ttl, result };
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      await this.delete(this.entries.keys().next().value);
+    }
+
+    if (this.directory) {
+      try {
+        await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+        await fs.writeFile(path.join(this.directory, `${key}.json`), JSON.stringify(entry), { mode: 0o600 });
+        await this.pruneFiles();
+      } catch (error) {
+        console.error('⚠️  Failed to persist cache entry:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Read a persisted entry
+   */
+  async readEntry(key) {
+    if (!this.directory) {
+      return null;
+    }
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.directory, `${key}.json`), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Remove an entry from memory and disk
+   */
+  async delete(key) {
+    this.entries.delete(key);
+    if (this.directory) {
+      await fs.rm(path.join(this.directory, `${key}.json`), { force: true });
+    }
+  }
+
+  /**
+   * List persisted entry keys
+   * @returns {Promise<string[]>}
+   */
+  async listFiles() {
+    if (!this.directory) {
+      return [];
+    }
+    try {
+      const names = await fs.readdir(this.directory);
+      return names.filter(name => ENTRY_FILE_PATTERN.test(name)).map(name => name.slice(0, -'.json'.length));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the oldest persisted entries beyond maxEntries
+   * Entries from earlier runs are only on disk, so memory eviction alone doesn't bound the directory.
+   */
+  async pruneFiles() {
+    const keys = await this.listFiles();
+    if (keys.length <= this.maxEntries) {
+      return;
+    }
+
+    const files = await Promise.all(keys.map(async (key) => {
+      const stat = await fs.stat(path.join(this.directory, `${key}.json`)).catch(() => null);
+      return { key, mtime: stat?.mtimeMs ?? 0 };
+    }));
+    files.sort((a, b) => a.mtime - b.mtime);
+
+    for (const { key } of files.slice(0, files.length - this.maxEntries)) {
+      await this.delete(key);
+    }
+  }
+
+  /**
+   * Remove cached responses
+   * @param {Object} [filter]
+   * @param {string} [filter.tool] - Tool name or glob pattern
+   * @param {string} [filter.accountId] - Only this account's entries
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clear(filter = {}) {
+    const account = filter.accountId ? slug(filter.accountId.toLowerCase()) : null;
+    const toolPattern = filter.tool ? globToRegExp(filter.tool) : null;
+
+    const keys = new Set([...this.entries.keys(), ...await this.listFiles()]);
+    let removed = 0;
+    for (const key of keys) {
+      const [, keyAccount, keyTool] = ENTRY_FILE_PATTERN.exec(`${key}.json`);
+      if ((account && keyAccount !== account) || (toolPattern && !toolPattern.test(keyTool))) {
+        continue;
+      }
+      await this.delete(key);
+      removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * Describe the configuration (for startup logs)
+   * @returns {string}
+   */
+  describe() {
+    if (!this.enabled) {
+      return 'disabled';
+    }
+    const tools = this.tools.map(tool => `${tool.pattern} (${Math.round((tool.ttl ?? this.ttl) / 1000)}s)`).join(', ');
+    return `${tools || 'no tools'}, ${this.maxEntries} entries${this.directory ? `, persisted in ${this.directory}` : ', memory only'}`;
+  }
+}
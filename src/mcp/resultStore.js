@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { toCSV } from './formatter.js';
+
+/**
+ * Result store
+ * Writes tool results that are too large to inline to a local results
+ * directory (JSON, plus CSV for tabular results) and exposes them as MCP
+ * resources under netsuite-results://<file>.
+ */
+
+export const RESULT_URI_PREFIX = 'netsuite-results://';
+
+const RESULT_FILE_PATTERN = /^[A-Za-z0-9_.-]+\.(json|csv)$/;
+
+const MIME_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv'
+};
+
+export class ResultStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Results directory
+   * @param {number} [options.maxBytes] - Spill results larger than this (default 100 KB)
+   * @param {number} [options.maxRows] - Spill results with more rows than this (default 200)
+   * @param {number} [options.previewRows] - Rows included inline in the summary (default 10)
+   * @param {number} [options.maxResults] - Saved results kept on disk (default 50)
+   */
+  constructor(options) {
+    this.directory = options.directory;
+    this.maxBytes = options.maxBytes ?? 100 * 1024;
+    this.maxRows = options.maxRows ?? 200;
+    this.previewRows = options.previewRows ?? 10;
+    this.maxResults = options.maxResults ?? 50;
+  }
+
+  /**
+   * Check if a result is too large to inline
+   * @param {string} text - Serialized result
+   * @param {Object[]|null} rows - Result rows, if tabular
+   * @returns {boolean}
+   */
+  shouldSpill(text, rows) {
+    return Buffer.byteLength(text) > this.maxBytes || (rows !== null && rows.length > this.maxRows);
+  }
+
+  /**
+   * Save a result as JSON (and CSV when tabular)
+   * @param {Object} options
+   * @param {string} options.tool - Tool that produced the result
+   * @param {*} options.payload - Parsed result payload
+   * @param {Object[]|null} options.rows - Result rows, if tabular
+   * @returns {Promise<Array<{uri: string, name: string, mimeType: string}>>} Saved resources
+   */
+  async save({ tool, payload, rows }) {
+    await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    const id = `${stamp}-${tool.replace(/[^A-Za-z0-9_-]/g, '_')}-${crypto.randomBytes(3).toString('hex')}`;
+
+    const files = [{ name: `${id}.json`, content: JSON.stringify(payload, null, 2) }];
+    if (rows) {
+      files.push({ name: `${id}.csv`, content: toCSV(rows) });
+    }
+
+    for (const file of files) {
+      await fs.writeFile(path.join(this.directory, file.name), file.content, { mode: 0o600 });
+    }
+    console.error(`💾 Saved large ${tool} result to ${this.directory}/${id}.*`);
+
+    await this.prune();
+    return files.map(file => this.describe(file.name));
+  }
+
+  /**
+   * Delete the oldest results beyond maxResults
+   */
+  async prune() {
+    const names = await this.listFiles();
+    const ids = [...new Set(names.map(name => name.replace(/\.(json|csv)$/, '')))].sort().reverse();
+
+    for (const id of ids.slice(this.maxResults)) {
+      for (const extension of Object.keys(MIME_TYPES)) {
+        await fs.rm(path.join(this.directory, `${id}.${extension}`), { force: true });
+      }
+    }
+  }
+
+  /**
+   * List result file names, newest first
+   * @returns {Promise<string[]>}
+   */
+  async listFiles() {
+    try {
+      const names = await fs.readdir(this.directory);
+      return names.filter(name => RESULT_FILE_PATTERN.test(name)).sort().reverse();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Describe a result file as an MCP resource
+   * @param {string} name - File name
+   * @returns {{uri: string, name: string, description: string, mimeType: string}}
+   */
+  describe(name) {
+    const extension = name.split('.').pop();
+    const [, stamp, tool] = /^(\w+?)-(.+)-[0-9a-f]{6}\.\w+$/.exec(name) || [];
+    return {
+      uri: `${RESULT_URI_PREFIX}${name}`,
+      name,
+      description: tool ? `${tool} result saved at ${stamp} (${extension.toUpperCase()})` : `Saved result (${extension.toUpperCase()})`,
+      mimeType: MIME_TYPES[extension]
+    };
+  }
+
+  /**
+   * List saved results as MCP resources
+   * @returns {Promise<Object[]>}
+   */
+  async listResources() {
+    return (await this.listFiles()).map(name => this.describe(name));
+  }
+
+  /**
+   * Read a saved result
+   * @param {string} uri - netsuite-results://<file> URI
+   * @returns {Promise<{uri: string, mimeType: string, text: string}>}
+   * @throws {Error} If the URI is invalid or the result no longer exists
+   */
+  async read(uri) {
+    const name = uri.startsWith(RESULT_URI_PREFIX) ? uri.slice(RESULT_URI_PREFIX.length) : '';
+    if (!RESULT_FILE_PATTERN.test(name)) {
+      throw new Error(`Unknown resource: ${uri}`);
+    }
+
+    try {
+      const text = await fs.readFile(path.join(this.directory, name), 'utf8');
+      return { uri, mimeType: this.describe(name).mimeType, text };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Resource no longer exists: ${uri}`);
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Helpers for interpreting NetSuite MCP tool results
+ * NetSuite tools answer with MCP `content` arrays whose text is usually JSON;
+ * these helpers unwrap that and locate tabular rows inside it.
+ */
+
+const ROW_KEYS = ['items', 'data', 'rows', 'results', 'records'];
+
+/**
+ * Check if a value is a plain (non-array) object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Unwrap a tool result into its payload
+ * Joins MCP text content and parses it as JSON when possible.
+ * @param {*} result - Result returned by executeTool()
+ * @returns {*} Parsed payload (object/array), text, or the result itself
+ */
+export function parseToolResult(result) {
+  if (isPlainObject(result) && Array.isArray(result.content)) {
+    const text = result.content
+      .filter(item => item.type === 'text')
+      .map(item => item.text)
+      .join('\n');
+
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  if (typeof result === 'string') {
+    try {
+      return JSON.parse(result);
+    } catch {
+      return result;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Find the array of row objects in a payload
+ * Accepts a bare array of objects, or an object holding one under a common
+ * key (items, data, rows, results, records), up to one level deep.
+ * @param {*} payload - Parsed payload (see parseToolResult)
+ * @returns {Object[]|null} Rows, or null if the payload isn't tabular
+ */
+export function extractRows(payload) {
+  if (Array.isArray(payload)) {
+    return payload.length === 0 || payload.every(isPlainObject) ? payload : null;
+  }
+
+  if (!isPlainObject(payload)) {
+    return null;
+  }
+
+  for (const key of ROW_KEYS) {
+    if (Array.isArray(payload[key])) {
+      const rows = extractRows(payload[key]);
+      if (rows) {
+        return rows;
+      }
+    }
+  }
+
+  for (const value of Object.values(payload)) {
+    if (isPlainObject(value)) {
+      for (const key of ROW_KEYS) {
+        if (Array.isArray(value[key])) {
+          const rows = extractRows(value[key]);
+          if (rows) {
+            return rows;
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Collect column names across rows, in first-seen order
+ * @param {Object[]} rows - Row objects
+ * @returns {string[]} Column names
+ */
+export function getColumns(rows) {
+  const columns = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      columns.add(key);
+    }
+  }
+  return [...columns];
+}
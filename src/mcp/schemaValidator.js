@@ -0,0 +1,239 @@
+/**
+ * Minimal JSON Schema validator for tool arguments
+ * Covers the subset NetSuite tool input schemas use: type, enum, const,
+ * properties/required/additionalProperties, items, string/number/array
+ * bounds, pattern, anyOf/oneOf/allOf/not and local $ref.
+ * Collects every violation instead of stopping at the first one so the
+ * model can fix all of them in a single retry.
+ */
+
+/**
+ * Error raised when tool arguments don't match the tool's input schema
+ */
+export class SchemaValidationError extends Error {
+  /**
+   * @param {string} toolName - Tool being called
+   * @param {Array<{path: string, message: string}>} violations - Schema violations
+   */
+  constructor(toolName, violations) {
+    const lines = violations.map(v => `- ${v.path}: ${v.message}`);
+    super(
+      `Invalid arguments for ${toolName} (${violations.length} problem${violations.length === 1 ? '' : 's'}):\n` +
+      `${lines.join('\n')}\n` +
+      'Fix the arguments and call the tool again.'
+    );
+    this.name = 'SchemaValidationError';
+    this.toolName = toolName;
+    this.violations = violations;
+  }
+}
+
+/**
+ * Describe the JSON type of a value
+ * @param {*} value - Value to describe
+ * @returns {string} JSON Schema type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check a value against a single JSON Schema type name
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Deep equality for enum/const/uniqueItems checks
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Test a string against a schema pattern (invalid patterns are ignored)
+ */
+function testPattern(pattern, value) {
+  try {
+    return new RegExp(pattern, 'u').test(value);
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Resolve a local $ref (#/definitions/... or #/$defs/...)
+ */
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) {
+    return null;
+  }
+  return ref.slice(2).split('/').reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+}
+
+/**
+ * Validate a value against a schema, collecting violations
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of the value (for messages)
+ * @param {Object} root - Root schema (for $ref)
+ * @param {Array} violations - Collected violations
+ */
+function validateNode(schema, value, path, root, violations) {
+  if (schema === true || schema === undefined || schema === null) {
+    return;
+  }
+  if (schema === false) {
+    violations.push({ path, message: 'is not allowed' });
+    return;
+  }
+
+  if (schema.$ref) {
+    const target = resolveRef(schema.$ref, root);
+    if (target) {
+      validateNode(target, value, path, root, violations);
+    }
+    return;
+  }
+
+  // type
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      violations.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return; // further keyword checks would only add noise
+    }
+  }
+
+  // enum / const
+  if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+    violations.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+  if ('const' in schema && !isEqual(schema.const, value)) {
+    violations.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  // strings
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      violations.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      violations.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !testPattern(schema.pattern, value)) {
+      violations.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  // numbers
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      violations.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      violations.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      violations.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      violations.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+    if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      violations.push({ path, message: `must be a multiple of ${schema.multipleOf}` });
+    }
+  }
+
+  // arrays
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      violations.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      violations.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set(value.map(item => JSON.stringify(item)));
+      if (seen.size !== value.length) {
+        violations.push({ path, message: 'must not contain duplicate items' });
+      }
+    }
+    if (Array.isArray(schema.items)) {
+      schema.items.forEach((itemSchema, index) => {
+        if (index < value.length) {
+          validateNode(itemSchema, value[index], `${path}[${index}]`, root, violations);
+        }
+      });
+    } else if (schema.items) {
+      value.forEach((item, index) => {
+        validateNode(schema.items, item, `${path}[${index}]`, root, violations);
+      });
+    }
+  }
+
+  // objects
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key)) {
+        violations.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (Object.hasOwn(properties, key)) {
+        validateNode(properties[key], propertyValue, `${path}.${key}`, root, violations);
+      } else if (schema.additionalProperties === false) {
+        const allowed = Object.keys(properties);
+        violations.push({
+          path: `${path}.${key}`,
+          message: `is not an allowed property${allowed.length ? ` (allowed: ${allowed.join(', ')})` : ''}`
+        });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(schema.additionalProperties, propertyValue, `${path}.${key}`, root, violations);
+      }
+    }
+  }
+
+  // combinators
+  if (schema.allOf) {
+    schema.allOf.forEach(subschema => validateNode(subschema, value, path, root, violations));
+  }
+  if (schema.anyOf) {
+    const matches = schema.anyOf.filter(subschema => validate(subschema, value, path, root).length === 0);
+    if (matches.length === 0) {
+      violations.push({ path, message: 'does not match any of the allowed shapes (anyOf)' });
+    }
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(subschema => validate(subschema, value, path, root).length === 0);
+    if (matches.length !== 1) {
+      violations.push({ path, message: `must match exactly one of the allowed shapes (oneOf), matched ${matches.length}` });
+    }
+  }
+  if (schema.not && validate(schema.not, value, path, root).length === 0) {
+    violations.push({ path, message: 'matches a disallowed shape (not)' });
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} [path] - Root path used in messages
+ * @param {Object} [root] - Root schema for $ref resolution (defaults to schema)
+ * @returns {Array<{path: string, message: string}>} Violations (empty if valid)
+ */
+export function validate(schema, value, path = 'arguments', root = schema) {
+  const violations = [];
+  validateNode(schema, value, path, root, violations);
+  return violations;
+}
@@ -0,0 +1,596 @@
+import { globToRegExp } from '../utils/glob.js';
+
+/**
+ * SuiteQL guard
+ * Checks SuiteQL queries locally before they are sent to NetSuite: syntax
+ * NetSuite doesn't understand (LIMIT, backticks, NOW(), ...), unbounded scans
+ * of large tables, an optional mandatory row limit and blocked tables/fields.
+ * The query is tokenized, not fully parsed - good enough to find table
+ * references, aliases and clauses, and to propose a rewritten query.
+ */
+
+// Tables large enough that unfiltered or SELECT * queries tend to time out
+export const LARGE_TABLES = [
+  'transaction', 'transactionline', 'transactionaccountingline', 'systemnote', 'entity', 'customer', 'item'
+];
+
+const KEYWORDS = new Set([
+  'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'LIKE', 'BETWEEN', 'EXISTS', 'ANY', 'SOME',
+  'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'ON', 'USING', 'AS', 'WITH',
+  'GROUP', 'BY', 'ORDER', 'HAVING', 'ASC', 'DESC', 'NULLS', 'FIRST', 'LAST', 'NEXT',
+  'UNION', 'ALL', 'INTERSECT', 'MINUS', 'EXCEPT', 'DISTINCT', 'UNIQUE', 'TOP',
+  'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'FETCH', 'ROWS', 'ROW', 'ONLY', 'OFFSET', 'LIMIT',
+  'ESCAPE', 'START', 'CONNECT', 'PRIOR', 'OVER', 'PARTITION'
+]);
+
+const SET_OPERATORS = new Set(['UNION', 'INTERSECT', 'MINUS', 'EXCEPT']);
+const AGGREGATES = new Set(['COUNT', 'SUM', 'MIN', 'MAX', 'AVG']);
+const CLAUSES = new Set(['WHERE', 'GROUP', 'ORDER', 'HAVING', 'FETCH', 'OFFSET', 'LIMIT', 'START', 'CONNECT']);
+const JOIN_MODIFIERS = new Set(['INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS']);
+
+// Functions from other SQL dialects: replacement name, or a hint when it can't be renamed
+const FOREIGN_FUNCTIONS = {
+  NOW: { replacement: 'SYSDATE', dropArguments: true },
+  GETDATE: { replacement: 'SYSDATE', dropArguments: true },
+  CURDATE: { replacement: 'SYSDATE', dropArguments: true },
+  IFNULL: { replacement: 'NVL' },
+  ISNULL: { replacement: 'NVL' },
+  LEN: { replacement: 'LENGTH' },
+  SUBSTRING: { replacement: 'SUBSTR' },
+  CHARINDEX: { hint: 'INSTR(string, substring) - note the reversed argument order' },
+  GROUP_CONCAT: { hint: "LISTAGG(expr, ',') WITHIN GROUP (ORDER BY expr)" },
+  STRING_AGG: { hint: "LISTAGG(expr, ',') WITHIN GROUP (ORDER BY expr)" },
+  DATEADD: { hint: 'date arithmetic: date + days, or ADD_MONTHS(date, months)' },
+  DATE_ADD: { hint: 'date arithmetic: date + days, or ADD_MONTHS(date, months)' },
+  DATE_SUB: { hint: 'date arithmetic: date - days, or ADD_MONTHS(date, -months)' },
+  DATEDIFF: { hint: 'date1 - date2 (difference in days)' }
+};
+
+/**
+ * Error raised when a query fails the guard
+ */
+export class SuiteQLGuardError extends Error {
+  /**
+   * @param {Array<{rule: string, message: string}>} issues - Blocking issues
+   * @param {string} [suggestedQuery] - Query with the automatic rewrites applied
+   */
+  constructor(issues, suggestedQuery) {
+    const lines = issues.map(issue => `- [${issue.rule}] ${issue.message}`);
+    super(
+      `SuiteQL query rejected before sending it to NetSuite (${issues.length} problem${issues.length === 1 ? '' : 's'}):\n` +
+      `${lines.join('\n')}\n` +
+      (suggestedQuery ? `Suggested query:\n${suggestedQuery}\n` : '') +
+      'Fix the query and call the tool again.'
+    );
+    this.name = 'SuiteQLGuardError';
+    this.issues = issues;
+    this.suggestedQuery = suggestedQuery;
+  }
+}
+
+/**
+ * Split a query into tokens
+ * Comments are dropped. Each token records its offsets and its parenthesis
+ * depth; parentheses themselves carry the depth outside of them.
+ * @param {string} query - SuiteQL query
+ * @returns {Array<{type: string, value: string, upper?: string, start: number, end: number, depth: number}>}
+ */
+export function tokenize(query) {
+  const tokens = [];
+  let depth = 0;
+  let i = 0;
+
+  const push = (type, start, end, value = query.slice(start, end)) => {
+    const token = { type, value, start, end, depth };
+    if (type === 'word') {
+      token.upper = value.toUpperCase();
+    }
+    tokens.push(token);
+  };
+
+  while (i < query.length) {
+    const char = query[i];
+    const next = query[i + 1];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '-' && next === '-') {
+      const end = query.indexOf('\n', i);
+      i = end === -1 ? query.length : end + 1;
+    } else if (char === '/' && next === '*') {
+      const end = query.indexOf('*/', i + 2);
+      i = end === -1 ? query.length : end + 2;
+    } else if (char === "'") {
+      let end = i + 1;
+      while (end < query.length && !(query[end] === "'" && query[end + 1] !== "'")) {
+        end += query[end] === "'" ? 2 : 1;
+      }
+      push('string', i, Math.min(end + 1, query.length));
+      i = end + 1;
+    } else if (char === '"' || char === '`') {
+      const end = query.indexOf(char, i + 1);
+      const close = end === -1 ? query.length : end;
+      push(char === '"' ? 'identifier' : 'backtick', i, close + 1, query.slice(i + 1, close));
+      i = close + 1;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_$#]*/.exec(query.slice(i));
+      push('word', i, i + match[0].length);
+      i += match[0].length;
+    } else if (/\d/.test(char)) {
+      const match = /^\d+(\.\d+)?/.exec(query.slice(i));
+      push('number', i, i + match[0].length);
+      i += match[0].length;
+    } else if (char === '(') {
+      push('punct', i, i + 1);
+      depth++;
+      i++;
+    } else if (char === ')') {
+      depth = Math.max(depth - 1, 0);
+      push('punct', i, i + 1);
+      i++;
+    } else {
+      const operator = /^(::|<=|>=|<>|!=|\|\|)/.exec(query.slice(i));
+      const length = operator ? operator[0].length : 1;
+      push(operator ? 'operator' : 'punct', i, i + length);
+      i += length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Check if a token is a word with one of the given (upper-case) values
+ */
+function isWord(token, ...values) {
+  return token?.type === 'word' && values.includes(token.upper);
+}
+
+/**
+ * Check if a token is the given punctuation/operator
+ */
+function isPunct(token, value) {
+  return (token?.type === 'punct' || token?.type === 'operator') && token.value === value;
+}
+
+/**
+ * Get the lower-case name of an identifier token (word, "quoted" or `backticked`)
+ */
+function identifierName(token) {
+  if (token?.type === 'word' && !KEYWORDS.has(token.upper)) {
+    return token.value.toLowerCase();
+  }
+  if (token?.type === 'identifier' || token?.type === 'backtick') {
+    return token.value.toLowerCase();
+  }
+  return null;
+}
+
+/**
+ * Read the row limit a ROWNUM comparison imposes (ROWNUM <= n, ROWNUM < n, n >= ROWNUM, ROWNUM BETWEEN a AND b)
+ */
+function rownumLimit(tokens, index) {
+  const [op, value] = [tokens[index + 1], tokens[index + 2]];
+  if (isWord(op, 'BETWEEN') && isWord(tokens[index + 3], 'AND') && tokens[index + 4]?.type === 'number') {
+    return parseInt(tokens[index + 4].value, 10);
+  }
+  if (value?.type === 'number' && ['<=', '<', '='].includes(op?.value)) {
+    return parseInt(value.value, 10) - (op.value === '<' ? 1 : 0);
+  }
+  const [before, number] = [tokens[index - 1], tokens[index - 2]];
+  if (number?.type === 'number' && ['>=', '>'].includes(before?.value)) {
+    return parseInt(number.value, 10) - (before.value === '>' ? 1 : 0);
+  }
+  return null;
+}
+
+/**
+ * Analyze one SELECT block (tokens from SELECT to the end of its parenthesis level)
+ */
+function analyzeBlock(tokens, start) {
+  const depth = tokens[start].depth;
+  const block = { depth, tables: [], aliases: new Map(), stars: [], hasWhere: false, hasGroupBy: false, limit: null, aggregateOnly: true };
+  let clause = 'select';
+  let expectTable = false;
+  let selectItemStart = true;
+
+  for (let i = start + 1; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.depth < depth || isPunct(token, ';')) {
+      break;
+    }
+    if (token.depth > depth) {
+      continue;
+    }
+    if (isWord(token, ...SET_OPERATORS)) {
+      break;
+    }
+
+    if (clause === 'select') {
+      if (isWord(token, 'FROM')) {
+        clause = 'from';
+        expectTable = true;
+        continue;
+      }
+      if (isWord(token, 'DISTINCT', 'UNIQUE', 'ALL')) {
+        continue;
+      }
+      if (isWord(token, 'TOP') && tokens[i + 1]?.type === 'number') {
+        block.limit = parseInt(tokens[i + 1].value, 10);
+        i++;
+        continue;
+      }
+      if (isPunct(token, '*') && (selectItemStart || isPunct(tokens[i - 1], '.'))) {
+        block.stars.push(isPunct(tokens[i - 1], '.') ? identifierName(tokens[i - 2]) : null);
+      }
+      if (selectItemStart && !(isWord(token, ...AGGREGATES) && isPunct(tokens[i + 1], '('))) {
+        block.aggregateOnly = false;
+      }
+      selectItemStart = isPunct(token, ',');
+      continue;
+    }
+
+    if (CLAUSES.has(token.upper)) {
+      clause = token.upper.toLowerCase();
+      expectTable = false;
+      block.hasWhere = block.hasWhere || clause === 'where';
+      block.hasGroupBy = block.hasGroupBy || clause === 'group';
+    }
+
+    if (clause === 'from') {
+      if (isWord(token, 'JOIN')) {
+        expectTable = true;
+      } else if (isPunct(token, ',')) {
+        expectTable = true;
+      } else if (isWord(token, 'ON', 'USING')) {
+        expectTable = false;
+      } else if (expectTable && !JOIN_MODIFIERS.has(token.upper)) {
+        expectTable = false;
+        const table = identifierName(token);
+        if (table && !isPunct(tokens[i + 1], '.')) {
+          block.tables.push(table);
+          block.aliases.set(table, table);
+          const aliasToken = isWord(tokens[i + 1], 'AS') ? tokens[i + 2] : tokens[i + 1];
+          const alias = aliasToken?.depth === depth ? identifierName(aliasToken) : null;
+          if (alias) {
+            block.aliases.set(alias, table);
+          }
+        }
+      }
+    }
+
+    if (clause === 'fetch' && isWord(token, 'FIRST', 'NEXT') && tokens[i + 1]?.type === 'number') {
+      block.limit = parseInt(tokens[i + 1].value, 10);
+    }
+    if (clause === 'limit' && isWord(token, 'LIMIT') && tokens[i + 1]?.type === 'number') {
+      block.limit = parseInt(tokens[i + 1].value, 10);
+    }
+    if (isWord(token, 'ROWNUM')) {
+      const limit = rownumLimit(tokens, i);
+      if (limit !== null) {
+        block.limit = Math.min(block.limit ?? Infinity, limit);
+      }
+    }
+  }
+
+  if (block.hasGroupBy) {
+    block.aggregateOnly = false;
+  }
+  return block;
+}
+
+/**
+ * Apply text edits to a query (edits must not overlap)
+ * @param {string} query - Original query
+ * @param {Array<{start: number, end: number, text: string}>} edits - Replacements
+ * @returns {string}
+ */
+function applyEdits(query, edits) {
+  let result = query;
+  for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+  }
+  return result;
+}
+
+/**
+ * Remove a trailing semicolon and append a clause
+ */
+function appendClause(query, clause) {
+  return `${query.trim().replace(/;+\s*$/, '')} ${clause}`;
+}
+
+// Rules enforced even when the syntax checks are switched off
+const BLOCK_RULES = new Set(['blocked-table', 'blocked-field', 'missing-query']);
+
+export class SuiteQLGuard {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled] - Run the syntax and row limit checks (default true). Blocked tables and fields are always enforced
+   * @param {number} [options.requireLimit] - Queries must limit their rows to at most this many (default: no limit required)
+   * @param {string[]} [options.blocked] - Blocked "table" or "table.field" glob patterns
+   * @param {string[]} [options.largeTables] - Tables that must not be scanned unfiltered (default LARGE_TABLES)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.requireLimit = options.requireLimit || null;
+    this.largeTables = new Set(options.largeTables || LARGE_TABLES);
+    this.blockedTables = [];
+    this.blockedFields = [];
+
+    for (const pattern of options.blocked || []) {
+      const [table, field] = pattern.split('.');
+      if (field === undefined) {
+        this.blockedTables.push({ pattern, table: globToRegExp(table) });
+      } else {
+        this.blockedFields.push({ pattern, table: globToRegExp(table), field: globToRegExp(field) });
+      }
+    }
+  }
+
+  /**
+   * Analyze a query
+   * @param {string} query - SuiteQL query
+   * @param {Object} [options]
+   * @param {boolean} [options.paged] - The query is run through the pager, which bounds the rows itself
+   * @returns {{errors: Object[], warnings: Object[], tables: string[], suggestedQuery?: string}}
+   *   Issues are { rule, message }; suggestedQuery has the automatic rewrites applied
+   */
+  analyze(query, options = {}) {
+    const tokens = tokenize(query);
+    const errors = [];
+    const warnings = [];
+    const edits = [];
+    let appended = null;
+
+    const words = tokens.filter(token => token.type === 'word');
+    if (!isWord(words[0], 'SELECT', 'WITH')) {
+      errors.push({ rule: 'not-select', message: 'SuiteQL only runs SELECT queries (optionally starting with WITH).' });
+      return { errors, warnings, tables: [] };
+    }
+
+    const semicolon = tokens.findIndex(token => isPunct(token, ';'));
+    if (semicolon !== -1 && tokens.slice(semicolon + 1).some(token => !isPunct(token, ';'))) {
+      errors.push({ rule: 'multiple-statements', message: 'Send one query per call; remove everything after the first ";".' });
+    }
+
+    // Names defined by WITH (name AS (...)) are not tables
+    const cteNames = new Set(tokens
+      .filter((token, index) => isWord(tokens[index + 1], 'AS') && isPunct(tokens[index + 2], '('))
+      .map(identifierName)
+      .filter(Boolean));
+
+    const blocks = tokens
+      .map((token, index) => (isWord(token, 'SELECT') ? analyzeBlock(tokens, index) : null))
+      .filter(Boolean);
+    for (const block of blocks) {
+      block.tables = block.tables.filter(table => !cteNames.has(table));
+    }
+
+    const aliases = new Map(); // alias -> Set of tables (aliases may be reused in subqueries)
+    for (const block of blocks) {
+      for (const [alias, table] of block.aliases) {
+        if (!cteNames.has(table)) {
+          aliases.set(alias, (aliases.get(alias) || new Set()).add(table));
+        }
+      }
+    }
+    const tables = [...new Set(blocks.flatMap(block => block.tables))];
+
+    // Dialect mistakes
+    tokens.forEach((token, index) => {
+      if (isWord(token, 'LIMIT') && tokens[index + 1]?.type === 'number') {
+        const rows = tokens[index + 1].value;
+        if (isWord(tokens[index + 2], 'OFFSET')) {
+          errors.push({
+            rule: 'limit',
+            message: `SuiteQL does not support LIMIT/OFFSET. Use netsuite_suiteql_all to page through results, or a ROWNUM window.`
+          });
+        } else {
+          errors.push({ rule: 'limit', message: `SuiteQL does not support LIMIT. Use "FETCH FIRST ${rows} ROWS ONLY" instead.` });
+          if (token.depth === 0) {
+            edits.push({ start: token.start, end: tokens[index + 1].end, text: '' });
+            appended = `FETCH FIRST ${rows} ROWS ONLY`;
+          }
+        }
+      } else if (token.type === 'backtick') {
+        errors.push({ rule: 'backtick', message: `Backtick quoting is not SuiteQL: write ${token.value} without quotes.` });
+        edits.push({ start: token.start, end: token.end, text: token.value });
+      } else if (isWord(token, 'ILIKE')) {
+        errors.push({ rule: 'ilike', message: 'SuiteQL has no ILIKE. Use UPPER(column) LIKE UPPER(\'%value%\').' });
+      } else if (isPunct(token, '::')) {
+        errors.push({ rule: 'cast-operator', message: 'SuiteQL has no "::" casts. Use CAST(value AS type), TO_DATE(...) or TO_NUMBER(...).' });
+      } else if (isWord(token, 'TRUE', 'FALSE') && ['=', '<>', '!='].includes(tokens[index - 1]?.value)) {
+        const literal = token.upper === 'TRUE' ? "'T'" : "'F'";
+        errors.push({ rule: 'boolean-literal', message: `Checkbox fields hold 'T' or 'F' in SuiteQL: compare with ${literal} instead of ${token.upper}.` });
+        edits.push({ start: token.start, end: token.end, text: literal });
+      } else if (token.type === 'word' && FOREIGN_FUNCTIONS[token.upper] && isPunct(tokens[index + 1], '(')) {
+        const fix = FOREIGN_FUNCTIONS[token.upper];
+        if (fix.replacement) {
+          errors.push({ rule: 'unsupported-function', message: `${token.upper}() is not available in SuiteQL. Use ${fix.replacement} instead.` });
+          const closing = isPunct(tokens[index + 2], ')') ? tokens[index + 2] : null;
+          edits.push(fix.dropArguments && closing
+            ? { start: token.start, end: closing.end, text: fix.replacement }
+            : { start: token.start, end: token.end, text: fix.replacement });
+        } else {
+          errors.push({ rule: 'unsupported-function', message: `${token.upper}() is not available in SuiteQL. Use ${fix.hint}.` });
+        }
+      }
+    });
+
+    // Blocked tables and fields
+    const reported = new Set();
+    const block = (rule, subject, message) => {
+      if (!reported.has(subject)) {
+        reported.add(subject);
+        errors.push({ rule, message });
+      }
+    };
+
+    for (const table of tables) {
+      const match = this.blockedTable(table);
+      if (match) {
+        block('blocked-table', table, `Table ${table} is blocked on this server (${match.pattern}). Answer without it.`);
+      }
+    }
+
+    if (this.blockedFields.length > 0) {
+      tokens.forEach((token, index) => {
+        const name = identifierName(token);
+        if (!name || isPunct(tokens[index - 1], '.') || isPunct(tokens[index + 1], '(') || isWord(tokens[index - 1], 'AS')) {
+          return;
+        }
+
+        // alias.field
+        if (isPunct(tokens[index + 1], '.')) {
+          const field = tokens[index + 2];
+          for (const table of aliases.get(name) || []) {
+            const fieldName = identifierName(field);
+            const match = fieldName && this.blockedField(table, fieldName);
+            if (match) {
+              block('blocked-field', `${table}.${fieldName}`, `Field ${table}.${fieldName} is blocked on this server (${match.pattern}). Leave it out of the query.`);
+            }
+          }
+          return;
+        }
+
+        // Unqualified column of any table in the query
+        if (!aliases.has(name) && !cteNames.has(name)) {
+          for (const table of tables) {
+            const match = this.blockedField(table, name);
+            if (match) {
+              block('blocked-field', `${table}.${name}`, `Field ${table}.${name} is blocked on this server (${match.pattern}). Leave it out of the query.`);
+            }
+          }
+        }
+      });
+    }
+
+    // SELECT * / alias.*
+    for (const queryBlock of blocks) {
+      for (const star of queryBlock.stars) {
+        const starTables = star ? [queryBlock.aliases.get(star)].filter(table => table && !cteNames.has(table)) : queryBlock.tables;
+        for (const table of starTables) {
+          if (this.blockedFields.some(blocked => blocked.table.test(table))) {
+            block('blocked-field', `${table}.*`, `SELECT * on ${table} would return blocked fields. List the columns you need.`);
+          } else if (this.largeTables.has(table)) {
+            const issue = {
+              rule: 'select-star',
+              message: `SELECT * on ${table} returns hundreds of columns${queryBlock.hasWhere ? '' : ' for every row'}. List the columns you need.`
+            };
+            (queryBlock.hasWhere ? warnings : errors).push(issue);
+          }
+        }
+      }
+    }
+
+    // Row limits apply to the outermost query
+    const outer = blocks.filter(queryBlock => queryBlock.depth === 0);
+    const limits = outer.map(queryBlock => queryBlock.limit).filter(limit => limit !== null);
+    const limit = limits.length > 0 ? Math.max(...limits) : null;
+    const aggregateOnly = outer.length > 0 && outer.every(queryBlock => queryBlock.aggregateOnly);
+    const bounded = limit !== null || aggregateOnly || options.paged;
+
+    if (!bounded && outer.some(queryBlock => !queryBlock.hasWhere) && tables.some(table => this.largeTables.has(table))) {
+      warnings.push({
+        rule: 'unbounded-scan',
+        message: `No WHERE clause or row limit on ${tables.filter(table => this.largeTables.has(table)).join(', ')}. Add a filter or "FETCH FIRST n ROWS ONLY" to avoid a timeout.`
+      });
+    }
+
+    if (this.requireLimit && !options.paged && !aggregateOnly) {
+      if (limit === null && !appended) {
+        errors.push({
+          rule: 'missing-limit',
+          message: `Queries must limit their rows on this server. Add "FETCH FIRST ${this.requireLimit} ROWS ONLY" (or fewer), or use netsuite_suiteql_all.`
+        });
+        appended = `FETCH FIRST ${this.requireLimit} ROWS ONLY`;
+      } else if (limit > this.requireLimit) {
+        errors.push({
+          rule: 'missing-limit',
+          message: `At most ${this.requireLimit} rows per query are allowed on this server (the query asks for ${limit}). Use netsuite_suiteql_all for more.`
+        });
+      }
+    }
+
+    let suggestedQuery;
+    if (edits.length > 0 || appended) {
+      const edited = applyEdits(query, edits);
+      suggestedQuery = appended ? appendClause(edited.replace(/[ \t]+(\r?\n|$)/g, '$1'), appended) : edited;
+    }
+
+    return { errors, warnings, tables, suggestedQuery };
+  }
+
+  /**
+   * Find the blocked pattern covering a table
+   * @param {string} table - Table name
+   * @returns {{pattern: string}|undefined}
+   */
+  blockedTable(table) {
+    return this.blockedTables.find(blocked => blocked.table.test(table));
+  }
+
+  /**
+   * Find the blocked pattern covering a field of a table
+   * @param {string} table - Table name
+   * @param {string} field - Field name
+   * @returns {{pattern: string}|undefined}
+   */
+  blockedField(table, field) {
+    return this.blockedFields.find(blocked => blocked.table.test(table) && blocked.field.test(field));
+  }
+
+  /**
+   * Whether blocked tables or fields are configured
+   * @returns {boolean}
+   */
+  hasBlocks() {
+    return this.blockedTables.length > 0 || this.blockedFields.length > 0;
+  }
+
+  /**
+   * Check a query before it is sent to NetSuite
+   * With the guard disabled only blocked tables and fields are enforced.
+   * @param {string} query - SuiteQL query
+   * @param {Object} [options] - See analyze()
+   * @returns {Array<{rule: string, message: string}>} Warnings (non-blocking)
+   * @throws {SuiteQLGuardError} If the query has blocking issues
+   */
+  check(query, options = {}) {
+    if (typeof query !== 'string') {
+      if (this.hasBlocks()) {
+        // The blocklist can't be checked without the query text
+        throw new SuiteQLGuardError([{ rule: 'missing-query', message: 'No SuiteQL query string found in the arguments.' }]);
+      }
+      return [];
+    }
+    if (!this.enabled && !this.hasBlocks()) {
+      return [];
+    }
+
+    const { errors, warnings, suggestedQuery } = this.analyze(query, options);
+    const blocking = this.enabled ? errors : errors.filter(error => BLOCK_RULES.has(error.rule));
+    if (blocking.length > 0) {
+      throw new SuiteQLGuardError(blocking, this.enabled ? suggestedQuery : undefined);
+    }
+    return this.enabled ? warnings : [];
+  }
+
+  /**
+   * Describe the configuration (for startup logs)
+   * @returns {string}
+   */
+  describe() {
+    const parts = [];
+    if (this.enabled) {
+      parts.push('syntax checks');
+      if (this.requireLimit) parts.push(`row limit ${this.requireLimit} required`);
+    } else {
+      parts.push('syntax checks disabled');
+    }
+    const blocked = [...this.blockedTables, ...this.blockedFields].map(blocked => blocked.pattern);
+    if (blocked.length) parts.push(`blocked ${blocked.join(', ')}`);
+    return parts.join('; ');
+  }
+}
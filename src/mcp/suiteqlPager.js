@@ -0,0 +1,122 @@
+import { extractRows, getColumns, parseToolResult } from './results.js';
+
+/**
+ * SuiteQL pager
+ * Runs a SuiteQL query through the upstream ns_runCustomSuiteQL tool page by
+ * page (ROWNUM windows) until the results are exhausted or a row cap is hit.
+ */
+
+export const SUITEQL_TOOL = 'ns_runCustomSuiteQL';
+
+const ROWNUM_COLUMN = 'ns_mcp_rownum';
+
+/**
+ * Wrap a query so it returns only rows [start, end] (1-based, inclusive)
+ * @param {string} query - Original SuiteQL query
+ * @param {number} start - First row number
+ * @param {number} end - Last row number
+ * @returns {string} Paged query
+ */
+export function buildPagedQuery(query, start, end) {
+  const inner = query.trim().replace(/;+\s*$/, '');
+  return `SELECT * FROM (SELECT ns_mcp_page.*, ROWNUM AS ${ROWNUM_COLUMN} FROM (${inner}) ns_mcp_page) ` +
+    `WHERE ${ROWNUM_COLUMN} BETWEEN ${start} AND ${end}`;
+}
+
+/**
+ * Find the argument of the SuiteQL tool that carries the query
+ * @param {Object|undefined} tool - Tool definition from NetSuite
+ * @returns {string} Argument name
+ */
+export function getQueryArgument(tool) {
+  const properties = tool?.inputSchema?.properties || {};
+  const names = Object.keys(properties);
+  return names.find(name => /sql|query/i.test(name) && properties[name].type === 'string') || 'sqlQuery';
+}
+
+/**
+ * Remove the helper ROWNUM column from a row
+ */
+function stripRownum(row) {
+  const clean = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (key.toLowerCase() !== ROWNUM_COLUMN) {
+      clean[key] = value;
+    }
+  }
+  return clean;
+}
+
+/**
+ * Run a SuiteQL query and follow pages until exhaustion or the row cap
+ * @param {NetSuiteMCPTools} mcpTools - Tools client
+ * @param {Object} options
+ * @param {string} options.query - SuiteQL query
+ * @param {number} [options.pageSize] - Rows per upstream call (default 1000)
+ * @param {number} [options.maxRows] - Stop after this many rows (default 10000)
+ * @param {string} [options.profile] - Session profile
+ * @param {Object} [options.trace] - Passed to executeTool() to collect request ids
+ * @returns {Promise<{rows: Object[], columns: string[], totalRows: number, pages: number, truncated: boolean}>}
+ */
+export async function runSuiteQLAll(mcpTools, options) {
+  const { query, profile, trace } = options;
+  const maxRows = options.maxRows || 10000;
+  let pageSize = Math.min(options.pageSize || 1000, maxRows);
+
+  if (!query || typeof query !== 'string') {
+    throw new Error('query is required');
+  }
+
+  const tool = await mcpTools.getTool(SUITEQL_TOOL, profile).catch(() => null);
+  const queryArgument = getQueryArgument(tool);
+
+  const rows = [];
+  let pages = 0;
+  let shrunk = false;
+  let exhausted = false;
+
+  while (rows.length < maxRows) {
+    const start = rows.length + 1;
+    const end = Math.min(rows.length + pageSize, maxRows);
+
+    console.error(`📄 SuiteQL page ${pages + 1}: rows ${start}-${end}`);
+    const result = await mcpTools.executeTool(SUITEQL_TOOL, {
+      [queryArgument]: buildPagedQuery(query, start, end)
+    }, { profile, trace });
+    pages++;
+
+    if (result?.isError) {
+      const message = parseToolResult(result);
+      throw new Error(`SuiteQL page ${pages} failed: ${typeof message === 'string' ? message : JSON.stringify(message)}`);
+    }
+
+    const payload = parseToolResult(result);
+    const pageRows = extractRows(payload);
+    if (!pageRows) {
+      throw new Error(`Unexpected ${SUITEQL_TOOL} response: no result rows found`);
+    }
+
+    rows.push(...pageRows.map(stripRownum));
+
+    const requested = end - start + 1;
+    if (pageRows.length < requested) {
+      if (pageRows.length === 0 || payload?.hasMore === false || (shrunk && payload?.hasMore !== true)) {
+        exhausted = true;
+        break;
+      }
+      // Upstream may have capped the page below our window: shrink the window
+      // to what it returned and ask for the next one. Without hasMore only a
+      // second short page (or an empty one) proves the results are exhausted.
+      pageSize = pageRows.length;
+      shrunk = true;
+    }
+  }
+
+  return {
+    rows,
+    columns: getColumns(rows),
+    totalRows: rows.length,
+    pages,
+    truncated: !exhausted // row cap reached before the results were exhausted - more rows may exist
+  };
+}
@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Tool catalog snapshots
+ * Persists the tool list returned by NetSuite, one file per account
+ * (<directory>/<accountId>.tools.json), so tools can be served right after a
+ * restart and while NetSuite is unreachable.
+ */
+
+const CATALOG_FILE_SUFFIX = '.tools.json';
+
+/**
+ * Hash a tool list (sha256 of its JSON)
+ * Used like an ETag: equal hashes mean the catalog did not change.
+ * @param {Object[]} tools - Tool definitions
+ * @returns {string} Hex digest
+ */
+export function hashTools(tools) {
+  return crypto.createHash('sha256').update(JSON.stringify(tools)).digest('hex');
+}
+
+export class ToolCatalog {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Catalog directory
+   * @param {boolean} [options.enabled] - Persist snapshots (default true)
+   */
+  constructor(options) {
+    this.directory = options.directory;
+    this.enabled = options.enabled !== false;
+  }
+
+  /**
+   * Get the snapshot file of an account
+   * @param {string} accountId - NetSuite account ID
+   * @returns {string}
+   */
+  getFile(accountId) {
+    const name = accountId.toLowerCase().replace(/[^a-z0-9_-]/g, '_');
+    return path.join(this.directory, `${name}${CATALOG_FILE_SUFFIX}`);
+  }
+
+  /**
+   * Load the snapshot of an account
+   * @param {string} accountId - NetSuite account ID
+   * @param {string} [scope] - Endpoint configuration the snapshot must have been taken with
+   * @returns {Promise<{accountId: string, tools: Object[], hash: string, fetchedAt: number}|null>} Snapshot, or null if there is none
+   */
+  async load(accountId, scope) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      const snapshot = JSON.parse(await fs.readFile(this.getFile(accountId), 'utf8'));
+      if (!Array.isArray(snapshot.tools) || typeof snapshot.fetchedAt !== 'number') {
+        return null;
+      }
+      if (scope !== undefined && snapshot.scope !== undefined && snapshot.scope !== scope) {
+        console.error(`📂 Ignoring tool catalog snapshot of ${accountId} taken with other MCP endpoints`);
+        return null;
+      }
+      return { ...snapshot, hash: snapshot.hash || hashTools(snapshot.tools) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`⚠️  Ignoring unreadable tool catalog for ${accountId}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Save the snapshot of an account
+   * Written to a temporary file and renamed, so readers never see a partial file.
+   * Errors are logged, not thrown: the in-memory cache still works without it.
+   * @param {string} accountId - NetSuite account ID
+   * @param {{tools: Object[], hash: string, fetchedAt: number, scope?: string}} snapshot - Catalog snapshot
+   */
+  async save(accountId, { tools, hash, fetchedAt, scope }) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const filePath = this.getFile(accountId);
+    const tempFile = `${filePath}.${process.pid}.tmp`;
+    try {
+      await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+      await fs.writeFile(tempFile, JSON.stringify({ accountId, scope, fetchedAt, hash, tools }, null, 2), { mode: 0o600 });
+      await fs.rename(tempFile, filePath);
+    } catch (error) {
+      console.error(`⚠️  Failed to save tool catalog for ${accountId}:`, error.message);
+      await fs.rm(tempFile, { force: true }).catch(() => {});
+    }
+  }
+}
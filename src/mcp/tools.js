@@ -1,78 +1,231 @@
 import axios from 'axios';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { TokenRefreshError } from '../oauth/tokenExchange.js';
+import { SchemaValidationError, validate } from './schemaValidator.js';
+import { DEFAULT_WRITE_TOOLS, PolicyViolationError } from './policy.js';
+import { ConcurrencyLimiter } from '../utils/concurrencyLimiter.js';
+import { hashTools } from './toolCatalog.js';
+import { McpEndpoints } from './endpoints.js';
+import { CACHE_META_KEY } from './responseCache.js';
+import { matchesAny } from '../utils/glob.js';
+import { computeBackoff, isConcurrencyLimitMessage, isRetryableError, parseRetryAfter, sleep } from '../utils/retry.js';
+
+const UPSTREAM_PROTOCOL_VERSION = '2024-11-05';
+const REVALIDATE_RETRY_DELAY = 60 * 1000; // wait before retrying a failed background refresh
+
+/**
+ * Create an error that requires user action (re-authentication or retry)
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function authFailure(message) {
+  const error = new Error(message);
+  error.authFailure = true;
+  return error;
+}
 
 /**
  * NetSuite MCP Tools Client
  * Communicates with NetSuite MCP REST API using JSON-RPC 2.0
  */
 export class NetSuiteMCPTools {
-  constructor(oauthManager) {
+  /**
+   * @param {OAuthManager} oauthManager - OAuth manager
+   * @param {object} [options]
+   * @param {number} [options.maxRetries] - Retries for 429/5xx/network errors (default 3)
+   * @param {number} [options.retryBaseDelay] - Backoff base delay in ms (default 500)
+   * @param {number} [options.retryMaxDelay] - Backoff/Retry-After cap in ms (default 30000)
+   * @param {number} [options.maxConcurrency] - Max in-flight requests per account (default 5)
+   * @param {Function} [options.onToolsChanged] - Called with the profile when a cache refresh returns a different tool set
+   * @param {ToolPolicy} [options.policy] - Tool allow/deny/read-only policy
+   * @param {Map} [options.limiters] - Per-account limiters to share with other clients
+   * @param {number} [options.toolsCacheTTL] - Age in ms after which cached tools are revalidated (default 5 minutes)
+   * @param {ToolCatalog} [options.catalog] - On-disk tool catalog snapshots
+   * @param {McpEndpoints} [options.endpoints] - NetSuite MCP endpoints to aggregate (default /services/mcp/v1/all)
+   * @param {ResponseCache} [options.cache] - Response cache for read-only tools
+   */
+  constructor(oauthManager, options = {}) {
     this.oauthManager = oauthManager;
-    this.toolsCache = null;
-    this.lastToolsFetch = null;
-    this.toolsCacheTTL = 5 * 60 * 1000; // 5 minutes cache
+    this.toolsCache = new Map(); // profile -> { tools, hash, fetchedAt, source, retryAt }
+    this.toolsCacheTTL = options.toolsCacheTTL ?? 5 * 60 * 1000;
+    this.catalog = options.catalog;
+    this.endpoints = options.endpoints || new McpEndpoints();
+    this.cache = options.cache;
+    this.refreshing = new Map(); // profile -> in-flight tools/list refresh
+    this.upstreamCapabilities = new Map(); // profile -> Promise of the endpoint's capabilities
+
+    this.retryOptions = {
+      maxRetries: options.maxRetries ?? 3,
+      baseDelay: options.retryBaseDelay ?? 500,
+      maxDelay: options.retryMaxDelay ?? 30000
+    };
+    this.maxConcurrency = options.maxConcurrency ?? 5;
+    this.limiters = options.limiters || new Map(); // accountId -> ConcurrencyLimiter
+    this.onToolsChanged = options.onToolsChanged;
+    this.policy = options.policy;
+  }
+
+  /**
+   * Get the concurrency limiter for an account
+   * @param {string} accountId - NetSuite account ID
+   * @returns {ConcurrencyLimiter}
+   */
+  getLimiter(accountId) {
+    const key = accountId.toLowerCase();
+    if (!this.limiters.has(key)) {
+      this.limiters.set(key, new ConcurrencyLimiter(this.maxConcurrency));
+    }
+    return this.limiters.get(key);
   }
 
   /**
    * Get NetSuite MCP API endpoint URL
+   * @param {string} [profile] - Session profile (defaults to active profile)
+   * @param {string} [endpoint] - Endpoint name (defaults to the primary endpoint)
    */
-  async getMCPEndpoint() {
-    const accountId = await this.oauthManager.getAccountId();
+  async getMCPEndpoint(profile, endpoint) {
+    const accountId = await this.oauthManager.getAccountId(profile);
     if (!accountId) {
-      throw new Error('Account ID not found. Please authenticate first.');
+      throw new Error(`Account ID not found for profile "${this.oauthManager.resolveProfile(profile)}". Please authenticate first.`);
     }
-    return `https://${accountId}.suitetalk.api.netsuite.com/services/mcp/v1/all`;
+    return this.endpoints.url(accountId, endpoint);
   }
 
   /**
    * Fetch available tools from NetSuite MCP API
-   * Returns tools in MCP protocol format
+   * Returns tools in MCP protocol format. Cached tools (in memory, or the
+   * account's catalog snapshot on disk) are returned immediately; once older
+   * than the TTL they are revalidated in the background.
+   * @param {string} [profile] - Session profile (defaults to active profile)
    */
-  async fetchTools() {
-    // Return cached tools if still valid
-    if (this.toolsCache && this.lastToolsFetch) {
-      const age = Date.now() - this.lastToolsFetch;
-      if (age < this.toolsCacheTTL) {
-        console.error(`📦 Using cached tools (${Math.round(age / 1000)}s old)`);
-        return this.toolsCache;
+  async fetchTools(profile) {
+    profile = this.oauthManager.resolveProfile(profile);
+
+    const cached = this.toolsCache.get(profile) || await this.loadSnapshot(profile);
+    if (cached) {
+      const age = Date.now() - cached.fetchedAt;
+      const stale = age >= this.toolsCacheTTL;
+      console.error(`📦 Using cached tools (${Math.round(age / 1000)}s old${stale ? ', stale' : ''})`);
+      if (stale) {
+        this.revalidate(profile);
       }
+      return cached.tools;
+    }
+
+    return (await this.refreshTools(profile)).tools;
+  }
+
+  /**
+   * Load the catalog snapshot of the profile's account into the cache
+   * @param {string} profile - Session profile
+   * @returns {Promise<Object|null>} Cache entry, or null if there is no snapshot
+   */
+  async loadSnapshot(profile) {
+    if (!this.catalog) {
+      return null;
+    }
+
+    const accountId = await this.oauthManager.getAccountId(profile).catch(() => null);
+    const snapshot = accountId ? await this.catalog.load(accountId, this.endpoints.key) : null;
+    if (!snapshot) {
+      return null;
+    }
+
+    const entry = { tools: snapshot.tools, hash: snapshot.hash, fetchedAt: snapshot.fetchedAt, source: 'snapshot' };
+    this.toolsCache.set(profile, entry);
+    console.error(`📂 Loaded ${entry.tools.length} tools from the catalog snapshot of ${accountId}`);
+    return entry;
+  }
+
+  /**
+   * Refresh stale tools in the background
+   * Failures are logged and the cached tools keep being served; the refresh
+   * is retried after REVALIDATE_RETRY_DELAY (or the TTL, if shorter).
+   * @param {string} profile - Session profile
+   */
+  revalidate(profile) {
+    const cached = this.toolsCache.get(profile);
+    if (this.refreshing.has(profile) || (cached?.retryAt ?? 0) > Date.now()) {
+      return;
     }
 
-    const accessToken = await this.oauthManager.ensureValidToken();
-    const endpoint = await this.getMCPEndpoint();
+    console.error('🔄 Revalidating tools in the background...');
+    this.refreshTools(profile).catch((error) => {
+      const entry = this.toolsCache.get(profile);
+      if (entry) {
+        entry.retryAt = Date.now() + Math.min(this.toolsCacheTTL, REVALIDATE_RETRY_DELAY);
+        entry.lastError = error.message;
+      }
+      console.error(`⚠️  Background tool refresh failed, serving cached tools: ${error.message}`);
+    });
+  }
+
+  /**
+   * Fetch tools from NetSuite now, bypassing the cache
+   * Concurrent refreshes of the same profile share one request.
+   * @param {string} [profile] - Session profile (defaults to active profile)
+   * @returns {Promise<{tools: Object[], hash: string, previousHash: string|null, changed: boolean, fetchedAt: number}>}
+   */
+  refreshTools(profile) {
+    profile = this.oauthManager.resolveProfile(profile);
+
+    if (!this.refreshing.has(profile)) {
+      const refresh = this.requestTools(profile).finally(() => this.refreshing.delete(profile));
+      this.refreshing.set(profile, refresh);
+    }
+    return this.refreshing.get(profile);
+  }
 
+  /**
+   * Request the tool list from NetSuite and update the cache and catalog snapshot
+   * @param {string} profile - Session profile
+   */
+  async requestTools(profile) {
     console.error('🔍 Fetching available tools from NetSuite...');
 
     try {
-      const response = await axios.post(endpoint, {
-        jsonrpc: '2.0',
-        id: this.generateRequestId(),
-        method: 'tools/list',
-        params: {}
-      }, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      });
+      // Every endpoint's list is needed: a partial list would look like a catalog change
+      const multiple = this.endpoints.endpoints.length > 1;
+      const lists = await Promise.all(this.endpoints.endpoints.map(async ({ name }) => {
+        const response = await this.sendRequest('tools/list', {}, {
+          profile,
+          endpoint: name,
+          timeout: 30000
+        });
+        const label = multiple ? `${name}: ` : '';
 
-      if (response.data.error) {
-        throw new Error(response.data.error.message || 'Failed to fetch tools');
-      }
+        if (response.error) {
+          throw new Error(`${label}${response.error.message || 'Failed to fetch tools'}`);
+        }
+        if (!Array.isArray(response.result?.tools)) {
+          throw new Error(`${label}Unexpected tools/list response`);
+        }
+        return response.result.tools.map(tool => this.endpoints.namespaceTool(tool, name));
+      }));
+
+      const previous = this.toolsCache.get(profile);
+      const tools = lists.flat();
+      const hash = hashTools(tools);
+      const fetchedAt = Date.now();
+      const changed = Boolean(previous) && previous.hash !== hash;
 
-      if (response.data.result && response.data.result.tools) {
-        this.toolsCache = response.data.result.tools;
-        this.lastToolsFetch = Date.now();
-        console.error(`✅ Fetched ${this.toolsCache.length} tools from NetSuite`);
-        return this.toolsCache;
+      this.toolsCache.set(profile, { tools, hash, fetchedAt, source: 'netsuite' });
+      console.error(`✅ Fetched ${tools.length} tools from NetSuite${changed ? ' (catalog changed)' : ''}`);
+
+      if (this.catalog) {
+        const accountId = await this.oauthManager.getAccountId(profile);
+        await this.catalog.save(accountId, { tools, hash, fetchedAt, scope: this.endpoints.key });
       }
 
-      return [];
+      // Cached (or snapshot) tool set replaced by a different one
+      if (changed) {
+        this.onToolsChanged?.(profile);
+      }
+      return { tools, hash, previousHash: previous?.hash ?? null, changed, fetchedAt };
 
     } catch (error) {
-      if (error.response?.status === 401) {
-        console.error('❌ Authentication failed - token may be expired');
-        throw new Error('NetSuite authentication failed. Please re-authenticate.');
+      if (error.authFailure) {
+        throw error;
       }
 
       console.error('❌ Error fetching tools:', error.response?.data || error.message);
@@ -80,48 +233,140 @@ export class NetSuiteMCPTools {
     }
   }
 
+  /**
+   * Fetch the tools the policy allows for a profile
+   * @param {string} [profile] - Session profile (defaults to active profile)
+   */
+  async fetchAllowedTools(profile) {
+    const tools = await this.fetchTools(profile);
+    if (!this.policy) {
+      return tools;
+    }
+
+    const context = {
+      profile: this.oauthManager.resolveProfile(profile),
+      accountId: await this.oauthManager.getAccountId(profile)
+    };
+    const allowed = tools.filter(tool => this.policy.evaluate(tool.name, {
+      ...context,
+      upstreamName: this.endpoints.upstreamName(tool.name)
+    }).allowed);
+    if (allowed.length < tools.length) {
+      console.error(`🚫 Policy hides ${tools.length - allowed.length} of ${tools.length} tools`);
+    }
+    return allowed;
+  }
+
+  /**
+   * Reject a tool call the policy doesn't allow
+   * @param {string} toolName - Tool name
+   * @param {string} [profile] - Session profile (defaults to active profile)
+   * @throws {PolicyViolationError}
+   */
+  async checkPolicy(toolName, profile) {
+    if (!this.policy) {
+      return;
+    }
+
+    const context = {
+      profile: this.oauthManager.resolveProfile(profile),
+      accountId: await this.oauthManager.getAccountId(profile),
+      upstreamName: this.endpoints.upstreamName(toolName)
+    };
+    const decision = this.policy.evaluate(toolName, context);
+    if (!decision.allowed) {
+      console.error(`🚫 ${toolName} blocked by policy: ${decision.reason}`);
+      throw new PolicyViolationError(toolName, decision.reason);
+    }
+  }
+
   /**
    * Execute a NetSuite MCP tool
    * @param {string} toolName - Name of the tool to execute
    * @param {object} parameters - Tool parameters
+   * @param {object} [options] - Execution options
+   * @param {string} [options.profile] - Session profile (defaults to active profile)
+   * @param {object} [options.trace] - Collects the JSON-RPC request ids sent ({ requestIds: [] }) and the cache outcome
+   * @param {boolean} [options.noCache] - Bypass the response cache (the fresh result is still cached)
    * @returns {object} Tool execution result
    */
-  async executeTool(toolName, parameters) {
-    const accessToken = await this.oauthManager.ensureValidToken();
-    const endpoint = await this.getMCPEndpoint();
-
+  async executeTool(toolName, parameters, options = {}) {
     console.error(`🔧 Executing tool: ${toolName}`);
 
-    try {
-      const response = await axios.post(endpoint, {
-        jsonrpc: '2.0',
-        id: this.generateRequestId(),
-        method: 'tools/call',
-        params: {
-          name: toolName,
-          arguments: parameters || {}
+    await this.checkPolicy(toolName, options.profile);
+
+    // Validate arguments locally so bad calls don't cost a NetSuite request
+    const tool = await this.getTool(toolName, options.profile).catch(() => null);
+    this.validateParameters(tool, parameters || {});
+
+    const cacheable = this.cache?.isCacheable(toolName) ?? false;
+    const accountId = this.cache?.enabled ? await this.oauthManager.getAccountId(options.profile) : undefined;
+    const profile = this.oauthManager.resolveProfile(options.profile);
+
+    if (cacheable && !options.noCache) {
+      const entry = await this.cache.get(toolName, accountId, profile, parameters);
+      if (entry) {
+        console.error(`♻️  Cache hit for ${toolName} (${Math.round((Date.now() - entry.cachedAt) / 1000)}s old)`);
+        if (options.trace) {
+          options.trace.cache = 'hit';
         }
+        return {
+          ...entry.result,
+          _meta: {
+            ...entry.result._meta,
+            [CACHE_META_KEY]: {
+              hit: true,
+              cachedAt: new Date(entry.cachedAt).toISOString(),
+              expiresAt: new Date(entry.expiresAt).toISOString()
+            }
+          }
+        };
+      }
+    }
+    if (cacheable && options.trace) {
+      options.trace.cache = options.noCache ? 'bypass' : 'miss';
+    }
+
+    // Namespaced tools are sent to the endpoint that listed them, under their own name
+    const route = this.endpoints.route(toolName);
+
+    try {
+      const response = await this.sendRequest('tools/call', {
+        name: route.name,
+        arguments: parameters || {}
       }, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 60000 // 60 second timeout for tool execution
+        profile: options.profile,
+        endpoint: route.endpoint,
+        trace: options.trace,
+        timeout: 60000, // 60 second timeout for tool execution
+        // A write that timed out may have been applied: don't replay it
+        idempotent: !matchesAny(route.name, this.policy?.writeTools || DEFAULT_WRITE_TOOLS)
       });
 
-      if (response.data.error) {
-        const errorMsg = response.data.error.message || 'Tool execution failed';
+      if (response.error) {
+        const errorMsg = response.error.message || 'Tool execution failed';
         console.error(`❌ Tool execution error: ${errorMsg}`);
         throw new Error(errorMsg);
       }
 
       console.error(`✅ Tool executed successfully`);
-      return response.data.result;
+
+      if (this.cache?.enabled && !response.result?.isError) {
+        if (cacheable && response.result && typeof response.result === 'object') {
+          await this.cache.set(toolName, accountId, profile, parameters, response.result);
+        } else if (this.cache.isWriteTool(toolName)) {
+          // Records changed - cached query results of every profile of this account may be outdated
+          const removed = await this.cache.clear({ accountId });
+          if (removed > 0) {
+            console.error(`♻️  Cleared ${removed} cached response(s) after ${toolName}`);
+          }
+        }
+      }
+      return response.result;
 
     } catch (error) {
-      if (error.response?.status === 401) {
-        console.error('❌ Authentication failed during tool execution');
-        throw new Error('NetSuite authentication failed. Please re-authenticate.');
+      if (error.authFailure) {
+        throw error;
       }
 
       console.error('❌ Tool execution error:', error.response?.data || error.message);
@@ -130,32 +375,219 @@ export class NetSuiteMCPTools {
   }
 
   /**
-   * Get tool by name from cache
+   * Get the capabilities the NetSuite MCP endpoint advertises
+   * Negotiated with an initialize request on first use and cached per profile.
+   * @param {string} [profile] - Session profile (defaults to active profile)
+   * @returns {Promise<Object>} Server capabilities (e.g. { tools: {}, prompts: {} })
+   */
+  async getUpstreamCapabilities(profile) {
+    profile = this.oauthManager.resolveProfile(profile);
+
+    if (!this.upstreamCapabilities.has(profile)) {
+      const discovery = this.requestCapabilities(profile).catch((error) => {
+        this.upstreamCapabilities.delete(profile); // try again next time
+        throw error;
+      });
+      this.upstreamCapabilities.set(profile, discovery);
+    }
+    return this.upstreamCapabilities.get(profile);
+  }
+
+  /**
+   * Send initialize to the NetSuite MCP endpoint
+   * Endpoints that reject initialize are assumed to offer tools only.
+   * @param {string} profile - Session profile
+   */
+  async requestCapabilities(profile) {
+    try {
+      const response = await this.sendRequest('initialize', {
+        protocolVersion: UPSTREAM_PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: 'netsuite-mcp', version: '1.0.0' }
+      }, { profile });
+
+      if (response.error) {
+        console.error(`⚠️  NetSuite MCP initialize failed (${response.error.message}) - assuming tools only`);
+        return { tools: {} };
+      }
+
+      const capabilities = response.result?.capabilities || {};
+      console.error(`🧭 NetSuite MCP capabilities: ${Object.keys(capabilities).join(', ') || 'none'}`);
+      return capabilities;
+
+    } catch (error) {
+      if (error.authFailure) {
+        throw error;
+      }
+      throw new Error(`Failed to initialize NetSuite MCP session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forward a request (prompts/*, resources/*) to the NetSuite MCP endpoint
+   * @param {string} method - JSON-RPC method
+   * @param {object} [params] - JSON-RPC params
+   * @param {object} [options]
+   * @param {string} [options.profile] - Session profile (defaults to active profile)
+   * @returns {Promise<object>} JSON-RPC result
+   * @throws {McpError} With NetSuite's error code if NetSuite rejects the request
+   */
+  async forwardRequest(method, params, options = {}) {
+    const response = await this.sendRequest(method, params || {}, {
+      profile: options.profile,
+      timeout: 60000
+    });
+
+    if (response.error) {
+      console.error(`❌ NetSuite rejected ${method}: ${response.error.message}`);
+      throw new McpError(response.error.code ?? ErrorCode.InternalError, response.error.message || `${method} failed`, response.error.data);
+    }
+    return response.result || {};
+  }
+
+  /**
+   * POST a JSON-RPC body, retrying 429/5xx/network and concurrency-limit errors
+   * Each attempt holds a slot of the account's concurrency limiter; slots are
+   * released while backing off. Non-idempotent requests are only retried
+   * when they were rejected unprocessed (see isRetryableError).
+   * @param {string} endpoint - NetSuite MCP endpoint
+   * @param {object} body - JSON-RPC request body
+   * @param {object} options
+   * @param {string} options.accessToken - Bearer token
+   * @param {number} options.timeout - Request timeout in ms
+   * @param {ConcurrencyLimiter} options.limiter - Account concurrency limiter
+   * @param {boolean} [options.idempotent] - Safe to replay after timeouts and 5xx (default true)
+   * @returns {Promise<object>} JSON-RPC response body
+   */
+  async postWithRetry(endpoint, body, { accessToken, timeout, limiter, idempotent = true }) {
+    const { maxRetries, maxDelay } = this.retryOptions;
+
+    for (let attempt = 0; ; attempt++) {
+      let retryAfter = null;
+      let reason;
+
+      try {
+        const response = await limiter.run(() => axios.post(endpoint, body, {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          },
+          timeout
+        }));
+
+        // Concurrency governance errors can also come back as JSON-RPC errors
+        const rpcError = response.data?.error;
+        if (!rpcError || !isConcurrencyLimitMessage(rpcError.message) || attempt >= maxRetries) {
+          return response.data;
+        }
+        reason = `concurrency limit (${rpcError.message})`;
+
+      } catch (error) {
+        if (!isRetryableError(error, { idempotent }) || attempt >= maxRetries) {
+          throw error;
+        }
+        retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+        reason = error.response?.status ? `HTTP ${error.response.status}` : (error.code || error.message);
+      }
+
+      const delay = retryAfter !== null
+        ? Math.min(retryAfter, maxDelay)
+        : computeBackoff(attempt, this.retryOptions);
+      console.error(`⏳ NetSuite request failed (${reason}) - retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Send a JSON-RPC request to the NetSuite MCP endpoint
+   * Transient failures are retried with backoff (see postWithRetry).
+   * On HTTP 401 the access token is force-refreshed once and the call is
+   * replayed; only if that fails too is a re-authentication error raised.
+   * Errors that require user action carry `authFailure: true`.
+   * @param {string} method - JSON-RPC method (e.g. tools/list)
+   * @param {object} params - JSON-RPC params
+   * @param {object} [options]
+   * @param {string} [options.profile] - Session profile (defaults to active profile)
+   * @param {string} [options.endpoint] - Endpoint name (defaults to the primary endpoint)
+   * @param {number} [options.timeout] - Request timeout in ms
+   * @param {object} [options.trace] - Request id of this call is pushed to trace.requestIds
+   * @param {boolean} [options.idempotent] - Safe to replay after timeouts and 5xx (default true)
+   * @returns {Promise<object>} JSON-RPC response body
    */
-  async getTool(toolName) {
-    if (!this.toolsCache) {
-      await this.fetchTools();
+  async sendRequest(method, params, options = {}) {
+    const { profile, timeout = 30000, trace, idempotent = true } = options;
+    const endpoint = await this.getMCPEndpoint(profile, options.endpoint);
+    const limiter = this.getLimiter(await this.oauthManager.getAccountId(profile));
+    const body = {
+      jsonrpc: '2.0',
+      id: this.generateRequestId(),
+      method,
+      params
+    };
+    trace?.requestIds.push(body.id);
+
+    const post = (accessToken) => this.postWithRetry(endpoint, body, { accessToken, timeout, limiter, idempotent });
+
+    const accessToken = await this.oauthManager.ensureValidToken(profile);
+    try {
+      return await post(accessToken);
+    } catch (error) {
+      if (error.response?.status !== 401) {
+        throw error;
+      }
+    }
+
+    // 401: the token was rejected even though it looked valid locally
+    console.error('⚠️  NetSuite rejected the access token - refreshing and retrying once...');
+
+    let tokens;
+    try {
+      tokens = await this.oauthManager.refreshAccessToken(profile, accessToken);
+    } catch (error) {
+      if (error instanceof TokenRefreshError && error.transient) {
+        throw authFailure(`NetSuite authentication failed and the token could not be refreshed right now (${error.message}). Please try again shortly.`);
+      }
+      if (error instanceof TokenRefreshError && error.invalidGrant) {
+        throw authFailure('NetSuite authentication failed: the refresh token is invalid or expired. Please re-authenticate.');
+      }
+      console.error('❌ Token refresh failed:', error.message);
+      throw authFailure('NetSuite authentication failed. Please re-authenticate.');
+    }
+
+    try {
+      return await post(tokens.access_token);
+    } catch (error) {
+      if (error.response?.status === 401) {
+        console.error('❌ Authentication failed after token refresh');
+        throw authFailure('NetSuite authentication failed. Please re-authenticate.');
+      }
+      throw error;
     }
+  }
 
-    return this.toolsCache?.find(tool => tool.name === toolName);
+  /**
+   * Get tool by name from cache
+   * @param {string} toolName - Name of the tool
+   * @param {string} [profile] - Session profile (defaults to active profile)
+   */
+  async getTool(toolName, profile) {
+    const tools = await this.fetchTools(profile);
+    return tools.find(tool => tool.name === toolName);
   }
 
   /**
    * Validate tool parameters against tool schema
+   * @throws {SchemaValidationError} Listing every violation
    */
   validateParameters(tool, parameters) {
     if (!tool || !tool.inputSchema) {
       return true; // No schema to validate against
     }
 
-    const schema = tool.inputSchema;
-    const required = schema.required || [];
-
-    // Check required parameters
-    for (const param of required) {
-      if (!(param in parameters)) {
-        throw new Error(`Missing required parameter: ${param}`);
-      }
+    const violations = validate(tool.inputSchema, parameters);
+    if (violations.length > 0) {
+      console.error(`❌ Invalid arguments for ${tool.name}: ${violations.length} schema violation(s)`);
+      throw new SchemaValidationError(tool.name, violations);
     }
 
     return true;
@@ -169,28 +601,39 @@ export class NetSuiteMCPTools {
   }
 
   /**
-   * Clear tools cache (useful after re-authentication)
+   * Clear tools cache and negotiated capabilities (useful after re-authentication)
+   * @param {string} [profile] - Profile to clear; clears all profiles when omitted
    */
-  clearCache() {
-    this.toolsCache = null;
-    this.lastToolsFetch = null;
+  clearCache(profile) {
+    if (profile) {
+      this.toolsCache.delete(this.oauthManager.resolveProfile(profile));
+      this.upstreamCapabilities.delete(this.oauthManager.resolveProfile(profile));
+    } else {
+      this.toolsCache.clear();
+      this.upstreamCapabilities.clear();
+    }
     console.error('🗑️  Tools cache cleared');
   }
 
   /**
    * Get cache status
+   * @param {string} [profile] - Session profile (defaults to active profile)
    */
-  getCacheStatus() {
-    if (!this.toolsCache) {
+  getCacheStatus(profile) {
+    const cached = this.toolsCache.get(this.oauthManager.resolveProfile(profile));
+    if (!cached) {
       return { cached: false };
     }
 
-    const age = Date.now() - this.lastToolsFetch;
+    const age = Date.now() - cached.fetchedAt;
     return {
       cached: true,
-      toolCount: this.toolsCache.length,
+      source: cached.source,
+      toolCount: cached.tools.length,
+      hash: cached.hash,
       ageSeconds: Math.round(age / 1000),
-      expiresIn: Math.round((this.toolsCacheTTL - age) / 1000)
+      expiresIn: Math.round((this.toolsCacheTTL - age) / 1000),
+      ...(cached.lastError ? { lastRefreshError: cached.lastError } : {})
     };
   }
 }
@@ -0,0 +1,274 @@
+import crypto from 'crypto';
+import { SCOPED_RESERVED_ARGUMENTS } from './reservedArgs.js';
+import { parseToolResult } from './results.js';
+import { canonicalize } from '../utils/canonicalJson.js';
+
+/**
+ * Write confirmation gate
+ * Two-phase execution for record-changing tools: the first call returns a
+ * preview (record type, id, field diff against ns_getRecord) plus a
+ * short-lived confirmation token; the change is only sent to NetSuite when
+ * the same call is repeated with that token.
+ */
+
+export const DEFAULT_CONFIRMED_TOOLS = ['ns_createRecord', 'ns_updateRecord'];
+
+const GET_RECORD_TOOL = 'ns_getRecord';
+const RECORD_TYPE_KEYS = ['recordType', 'type'];
+const RECORD_ID_KEYS = ['recordId', 'id', 'internalId'];
+const FIELD_CONTAINER_KEYS = ['fields', 'values', 'data', 'body', 'record'];
+
+/**
+ * Pick the first present key from a list
+ */
+function pick(object, keys) {
+  const key = keys.find(candidate => object[candidate] !== undefined && object[candidate] !== null);
+  return key ? object[key] : undefined;
+}
+
+/**
+ * Find the record type, record id and field container argument names of a record tool
+ * Exact names (recordType/type, recordId/id/internalId) win over looser
+ * matches, so e.g. externalId is never taken for the record id.
+ * @param {Object} [tool] - Tool definition (defaults apply when unknown)
+ * @returns {{typeKey: string, idKey: string, fieldsKey: string|null}} fieldsKey is null when fields are top-level arguments
+ */
+export function getRecordArgumentKeys(tool) {
+  const names = Object.keys(tool?.inputSchema?.properties || {});
+  const exact = keys => keys.find(key => names.includes(key));
+
+  return {
+    typeKey: exact(RECORD_TYPE_KEYS) || names.find(name => /type$/i.test(name)) || 'recordType',
+    idKey: exact(RECORD_ID_KEYS) || names.find(name => /^(record|internal)_?id$/i.test(name)) || 'recordId',
+    fieldsKey: exact(FIELD_CONTAINER_KEYS) || (names.length === 0 ? 'fields' : null)
+  };
+}
+
+/**
+ * Look up a field case-insensitively, also inside common field containers
+ */
+function lookupField(record, field) {
+  const sources = [record, ...FIELD_CONTAINER_KEYS.map(key => record[key])]
+    .filter(source => source && typeof source === 'object' && !Array.isArray(source));
+
+  for (const source of sources) {
+    const key = Object.keys(source).find(candidate => candidate.toLowerCase() === field.toLowerCase());
+    if (key) {
+      return { found: true, value: source[key] };
+    }
+  }
+  return { found: false };
+}
+
+/**
+ * Split mutation arguments into record type, record id and field values
+ * With a tool schema the argument names come from getRecordArgumentKeys(), so
+ * the split matches what is sent; without one, common names are recognised.
+ * @param {Object} args - Tool arguments
+ * @param {Object} [tool] - Tool definition
+ * @returns {{recordType: string|undefined, recordId: string|undefined, fields: Object}}
+ */
+export function describeMutation(args, tool) {
+  if (Object.keys(tool?.inputSchema?.properties || {}).length > 0) {
+    const { typeKey, idKey, fieldsKey } = getRecordArgumentKeys(tool);
+    const container = fieldsKey ? args[fieldsKey] : undefined;
+    const fields = fieldsKey
+      ? (container && typeof container === 'object' && !Array.isArray(container) ? container : {})
+      : Object.fromEntries(Object.entries(args).filter(([key]) => key !== typeKey && key !== idKey));
+    return { recordType: args[typeKey], recordId: args[idKey], fields };
+  }
+
+  const recordType = pick(args, RECORD_TYPE_KEYS);
+  const recordId = pick(args, RECORD_ID_KEYS);
+
+  const containerKey = FIELD_CONTAINER_KEYS.find(key => args[key] && typeof args[key] === 'object' && !Array.isArray(args[key]));
+  let fields;
+  if (containerKey) {
+    fields = args[containerKey];
+  } else {
+    fields = Object.fromEntries(Object.entries(args)
+      .filter(([key]) => !RECORD_TYPE_KEYS.includes(key) && !RECORD_ID_KEYS.includes(key)));
+  }
+
+  return { recordType, recordId, fields };
+}
+
+export class WriteConfirmationGate {
+  /**
+   * @param {NetSuiteMCPTools} mcpTools - Tools client (used to fetch the current record)
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled] - Require confirmation (default false)
+   * @param {number} [options.ttl] - Token lifetime in ms (default 5 minutes)
+   * @param {string[]} [options.tools] - Tools that require confirmation
+   */
+  constructor(mcpTools, options = {}) {
+    this.mcpTools = mcpTools;
+    this.enabled = options.enabled === true;
+    this.ttl = options.ttl ?? 5 * 60 * 1000;
+    this.tools = options.tools || DEFAULT_CONFIRMED_TOOLS;
+    this.tokens = new Map(); // token -> { fingerprint, expiresAt }
+  }
+
+  /**
+   * Check if a tool call must be confirmed
+   * @param {string} toolName - Tool name
+   * @returns {boolean}
+   */
+  requiresConfirmation(toolName) {
+    return this.enabled && this.tools.includes(this.mcpTools.endpoints.upstreamName(toolName));
+  }
+
+  /**
+   * Advertise the confirmation token argument on gated tools
+   * @param {Object} tool - Tool definition
+   * @returns {Object} Tool definition
+   */
+  decorateTool(tool) {
+    if (!this.requiresConfirmation(tool.name)) {
+      return tool;
+    }
+
+    const schema = tool.inputSchema || { type: 'object' };
+    return {
+      ...tool,
+      description: `${tool.description || ''} Changes require confirmation: the first call returns a preview and a _confirmationToken; repeat the call with the token to apply it.`.trim(),
+      inputSchema: {
+        ...schema,
+        properties: {
+          ...(schema.properties || {}),
+          _confirmationToken: SCOPED_RESERVED_ARGUMENTS._confirmationToken
+        }
+      }
+    };
+  }
+
+  /**
+   * Fingerprint of a call (tool, profile and arguments)
+   */
+  fingerprint(toolName, args, profile) {
+    return crypto.createHash('sha256')
+      .update(canonicalize({ toolName, profile, args }))
+      .digest('hex');
+  }
+
+  /**
+   * Drop expired tokens
+   */
+  pruneTokens() {
+    const now = Date.now();
+    for (const [token, entry] of this.tokens) {
+      if (entry.expiresAt <= now) {
+        this.tokens.delete(token);
+      }
+    }
+  }
+
+  /**
+   * Build a preview of a mutation and issue a confirmation token
+   * @param {string} toolName - Gated tool name
+   * @param {Object} args - Tool arguments (reserved arguments removed)
+   * @param {string} profile - Session profile
+   * @param {Object} [options]
+   * @param {Object} [options.trace] - Passed to executeTool() to collect request ids
+   * @returns {Promise<Object>} Preview including confirmationToken and expiresAt
+   */
+  async preview(toolName, args, profile, options = {}) {
+    // Don't hand out tokens for calls that would be rejected anyway
+    await this.mcpTools.checkPolicy(toolName, profile);
+    const tool = await this.mcpTools.getTool(toolName, profile).catch(() => null);
+    this.mcpTools.validateParameters(tool, args);
+
+    const { recordType, recordId, fields } = describeMutation(args, tool);
+    const preview = {
+      tool: toolName,
+      profile,
+      operation: recordId !== undefined ? 'update' : 'create',
+      recordType,
+      recordId,
+      arguments: args
+    };
+
+    if (recordId !== undefined && recordType) {
+      try {
+        // Read the record from the endpoint the write goes to
+        const upstream = this.mcpTools.endpoints.upstreamName(toolName);
+        const getRecordTool = `${toolName.slice(0, toolName.length - upstream.length)}${GET_RECORD_TOOL}`;
+        const current = await this.fetchCurrentRecord(getRecordTool, recordType, recordId, profile, options.trace);
+        preview.changes = Object.entries(fields).map(([field, proposed]) => {
+          const { found, value } = lookupField(current, field);
+          return {
+            field,
+            current: found ? value : null,
+            proposed,
+            changed: !found || canonicalize(value) !== canonicalize(proposed)
+          };
+        });
+      } catch (error) {
+        preview.currentRecordError = error.message;
+        preview.changes = Object.entries(fields).map(([field, proposed]) => ({ field, proposed }));
+      }
+    } else {
+      preview.changes = Object.entries(fields).map(([field, proposed]) => ({ field, proposed }));
+    }
+
+    return { ...preview, ...this.issueToken(toolName, args, profile) };
+  }
+
+  /**
+   * Issue a confirmation token for a call
+   * @param {string} toolName - Tool name
+   * @param {Object} args - Tool arguments (reserved arguments removed)
+   * @param {string} profile - Session profile
+   * @returns {{confirmationToken: string, expiresAt: string}}
+   */
+  issueToken(toolName, args, profile) {
+    this.pruneTokens();
+    const token = crypto.randomBytes(12).toString('base64url');
+    const expiresAt = Date.now() + this.ttl;
+    this.tokens.set(token, { fingerprint: this.fingerprint(toolName, args, profile), expiresAt });
+    return { confirmationToken: token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Fetch the current record via ns_getRecord
+   * Argument names are taken from the ns_getRecord schema when available.
+   */
+  async fetchCurrentRecord(getRecordTool, recordType, recordId, profile, trace) {
+    const tool = await this.mcpTools.getTool(getRecordTool, profile).catch(() => null);
+    const { typeKey, idKey } = getRecordArgumentKeys(tool);
+
+    const result = await this.mcpTools.executeTool(getRecordTool, {
+      [typeKey]: recordType,
+      [idKey]: recordId
+    }, { profile, trace });
+
+    const record = parseToolResult(result);
+    if (result?.isError || !record || typeof record !== 'object') {
+      throw new Error(`Could not load current record: ${typeof record === 'string' ? record : 'unexpected response'}`);
+    }
+    return record;
+  }
+
+  /**
+   * Redeem a confirmation token for a call
+   * Tokens are single-use and only valid for the exact call they were issued for.
+   * @param {string} token - Confirmation token
+   * @param {string} toolName - Tool name
+   * @param {Object} args - Tool arguments (reserved arguments removed)
+   * @param {string} profile - Session profile
+   * @throws {Error} If the token is unknown, expired or for a different call
+   */
+  consume(token, toolName, args, profile) {
+    this.pruneTokens();
+    const entry = this.tokens.get(token);
+
+    if (!entry) {
+      throw new Error('Confirmation token is unknown or expired. Call the tool again without _confirmationToken to get a new preview.');
+    }
+    if (entry.fingerprint !== this.fingerprint(toolName, args, profile)) {
+      throw new Error('Confirmation token does not match this call. Re-send exactly the arguments from the preview, or request a new preview.');
+    }
+
+    this.tokens.delete(token);
+  }
+}
@@ -5,29 +5,47 @@ import http from 'http';
  * Handles the redirect from NetSuite after user authentication
  */
 export class CallbackServer {
-  constructor(port) {
+  /**
+   * @param {number} port - Port to listen on
+   * @param {Object} options
+   * @param {number} options.timeout - Stop waiting for the callback after this many ms
+   */
+  constructor(port, options) {
     this.port = port;
+    this.authTimeout = options.timeout;
     this.server = null;
+    this.timeout = null;
+    this.ready = null;
     this.authPromiseResolve = null;
     this.authPromiseReject = null;
   }
 
   /**
    * Start HTTP server and wait for OAuth callback
+   * `this.ready` resolves once the server is listening (or rejects if it can't bind).
    * @param {string} expectedState - CSRF protection state parameter
    * @param {Function} onCodeReceived - Callback when authorization code is received
    * @returns {Promise<void>}
    */
   start(expectedState, onCodeReceived) {
-    return new Promise((resolve, reject) => {
-      this.authPromiseResolve = resolve;
-      this.authPromiseReject = reject;
+    let readyResolve;
+    let readyReject;
+    this.ready = new Promise((resolve, reject) => {
+      readyResolve = resolve;
+      readyReject = reject;
+    });
+    this.ready.catch(() => {}); // failures are reported through the returned promise
 
-      // Close existing server if any
+    return new Promise((resolve, reject) => {
+      // Close existing server if any (a newer authentication attempt replaces it)
       if (this.server) {
-        this.server.close();
+        this.close();
+        this.authPromiseReject?.(new Error('Authentication superseded by a newer attempt'));
       }
 
+      this.authPromiseResolve = resolve;
+      this.authPromiseReject = reject;
+
       this.server = http.createServer(async (req, res) => {
         await this.handleRequest(req, res, expectedState, onCodeReceived);
       });
@@ -37,20 +55,22 @@ export class CallbackServer {
           console.error(`❌ Port ${this.port} is already in use.`);
           console.error(`   Please close any application using this port or change the port in config.`);
         }
+        readyReject(error);
         this.authPromiseReject(error);
       });
 
       this.server.listen(this.port, () => {
         console.error(`🌐 OAuth callback server listening on http://localhost:${this.port}`);
+        readyResolve();
       });
 
-      // Set timeout for authentication (5 minutes)
-      setTimeout(() => {
+      // Give up when the pending authentication expires
+      this.timeout = setTimeout(() => {
         if (this.server && this.server.listening) {
           this.close();
-          this.authPromiseReject(new Error('Authentication timeout (5 minutes)'));
+          this.authPromiseReject(new Error(`Authentication timeout (${Math.round(this.authTimeout / 60000)} minutes)`));
         }
-      }, 5 * 60 * 1000);
+      }, this.authTimeout);
     });
   }
 
@@ -149,6 +169,8 @@ export class CallbackServer {
    * Close the server
    */
   close() {
+    clearTimeout(this.timeout);
+    this.timeout = null;
     if (this.server) {
       this.server.close();
       this.server = null;
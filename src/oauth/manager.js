@@ -5,24 +5,69 @@ import { SessionStorage } from './sessionStorage.js';
 import { exchangeCodeForTokens, refreshAccessToken, shouldRefreshToken } from './tokenExchange.js';
 import { openBrowser } from '../utils/browserLauncher.js';
 
+// How long a login may take: pending authentication, callback listener and the link shown to the user
+export const PENDING_AUTH_TTL = 10 * 60 * 1000;
+
+/**
+ * Authentication status values tracked in the session
+ */
+export const AUTH_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+};
+
+/**
+ * Extract query parameters from a pasted redirect URL, query string or bare code
+ * @param {string} input - e.g. http://localhost:8080/callback?code=...&state=...
+ * @returns {URLSearchParams}
+ */
+function parseRedirectParams(input) {
+  const value = input.trim();
+  if (!value.includes('=')) {
+    return new URLSearchParams({ code: value }); // bare authorization code
+  }
+  const queryIndex = value.indexOf('?');
+  const query = queryIndex >= 0 ? value.slice(queryIndex + 1) : value;
+  return new URLSearchParams(query.split('#')[0]);
+}
+
 /**
  * OAuth Manager for NetSuite OAuth 2.0 with PKCE
- * Handles authorization flow, token exchange, and automatic token refresh
+ * Handles authorization flow, token exchange, and automatic token refresh.
+ * Every session method accepts an optional profile name; when omitted the
+ * manager's active profile (config.profile) is used.
  */
 export class OAuthManager {
   constructor(config = {}) {
     this.callbackPort = config.callbackPort || 8765;
-    this.storage = new SessionStorage(config.storagePath || './sessions');
-    this.callbackServer = new CallbackServer(this.callbackPort);
+    this.storage = new SessionStorage(config.storagePath || './sessions', {
+      backend: config.storageBackend
+    });
+    this.callbackServer = new CallbackServer(this.callbackPort, { timeout: PENDING_AUTH_TTL });
+    this.profile = SessionStorage.normalizeProfile(config.profile);
+    this.pendingRefreshes = new Map(); // profile -> in-flight refresh promise
   }
 
   /**
-   * Start OAuth flow with local callback server
-   * @param {Object} config - Configuration with accountId and clientId
-   * @returns {Promise<string>} Authorization URL
+   * Resolve profile name, falling back to the active profile
+   * @param {string} [profile] - Profile name
+   * @returns {string} Normalized profile name
    */
-  async startAuthFlow(config) {
+  resolveProfile(profile) {
+    return SessionStorage.normalizeProfile(profile || this.profile);
+  }
+
+  /**
+   * Generate PKCE/state and persist them as a pending authorization
+   * Existing tokens for the profile are kept until the new ones arrive.
+   * @param {Object} config - Configuration with accountId, clientId, optional profile and mode
+   * @returns {Promise<{authId: string, authUrl: string, state: string, redirectUri: string, profile: string}>}
+   */
+  async prepareAuthorization(config) {
     const { accountId, clientId } = config;
+    const profile = this.resolveProfile(config.profile);
 
     if (!accountId || !clientId) {
       throw new Error('accountId and clientId are required');
@@ -31,19 +76,77 @@ export class OAuthManager {
     const pkce = generatePKCE();
     const state = crypto.randomBytes(16).toString('hex');
     const redirectUri = `http://localhost:${this.callbackPort}/callback`;
+    const authId = crypto.randomBytes(8).toString('hex');
+
+    // Generate authorization URL
+    const authUrl = this.buildAuthorizationUrl(accountId, clientId, redirectUri, state, pkce);
 
     // Store PKCE and config (critical: must persist until callback)
-    await this.storage.save({
-      pkce: pkce.code_verifier,
-      state,
-      config: { accountId, clientId, redirectUri },
-      timestamp: Date.now()
+    await this.storage.withLock(profile, async () => {
+      const existing = await this.storage.load(profile).catch(() => null);
+      const now = Date.now();
+
+      await this.storage.save({
+        tokens: existing?.tokens,
+        authenticated: existing?.authenticated,
+        pkce: pkce.code_verifier,
+        state,
+        config: { accountId, clientId, redirectUri },
+        timestamp: now,
+        auth: {
+          id: authId,
+          mode: config.mode || 'browser',
+          status: AUTH_STATUS.PENDING,
+          authUrl,
+          startedAt: now,
+          expiresAt: now + PENDING_AUTH_TTL
+        }
+      }, profile);
     });
 
-    // Generate authorization URL
-    const authUrl = this.buildAuthorizationUrl(accountId, clientId, redirectUri, state, pkce);
+    return { authId, authUrl, state, redirectUri, profile };
+  }
+
+  /**
+   * Start OAuth flow with local callback server and wait for it to finish
+   * @param {Object} config - Configuration with accountId, clientId and optional profile
+   * @returns {Promise<string>} Authorization URL
+   */
+  async startAuthFlow(config) {
+    const { authUrl, completion } = await this.beginAuthFlow(config);
+    await completion;
+    return authUrl;
+  }
+
+  /**
+   * Start OAuth flow without waiting for the user
+   * Opens the browser and runs the callback server in the background; the
+   * outcome is recorded in the session (see getAuthStatus()).
+   * @param {Object} config - Configuration with accountId, clientId and optional profile
+   * @returns {Promise<{authId: string, authUrl: string, profile: string, completion: Promise<void>}>}
+   */
+  async beginAuthFlow(config) {
+    const { authId, authUrl, state, profile } = await this.prepareAuthorization({ ...config, mode: 'browser' });
+
+    console.error(`\n🔐 NetSuite Authentication Required (profile: ${profile})`);
+
+    // Start callback server and wait for OAuth callback in the background
+    const completion = this.callbackServer.start(state, async (code) => {
+      await this.handleAuthorizationCode(code, profile);
+    }).then(() => {
+      console.error(`✅ Authentication successful!\n`);
+    }, async (error) => {
+      console.error(`❌ Authentication failed: ${error.message}\n`);
+      await this.recordAuthFailure(profile, authId, error).catch(() => {});
+      throw error;
+    });
+
+    // Callers that don't await completion shouldn't trigger unhandled rejections
+    completion.catch(() => {});
+
+    // Fail fast if the callback server can't listen (e.g. port in use)
+    await Promise.race([this.callbackServer.ready, completion]);
 
-    console.error(`\n🔐 NetSuite Authentication Required`);
     console.error(`📋 Opening browser for authentication...\n`);
 
     // Automatically open browser
@@ -53,18 +156,75 @@ export class OAuthManager {
     console.error(`   ${authUrl}\n`);
     console.error(`⏳ Waiting for authentication...`);
 
-    // Start callback server and wait for OAuth callback
-    try {
-      await this.callbackServer.start(state, async (code) => {
-        await this.handleAuthorizationCode(code);
-      });
-      console.error(`✅ Authentication successful!\n`);
-    } catch (error) {
-      console.error(`❌ Authentication failed: ${error.message}\n`);
+    return { authId, authUrl, profile, completion };
+  }
+
+  /**
+   * Start manual OAuth flow for headless environments (no browser, no callback server)
+   * The user opens the URL anywhere, logs in, and pastes the redirect URL
+   * (or just the code) back via completeManualAuthFlow().
+   * @param {Object} config - Configuration with accountId, clientId and optional profile
+   * @returns {Promise<{authUrl: string, redirectUri: string, profile: string}>}
+   */
+  async startManualAuthFlow(config) {
+    const { authId, authUrl, redirectUri, profile } = await this.prepareAuthorization({ ...config, mode: 'manual' });
+
+    console.error(`\n🔐 NetSuite Manual Authentication (profile: ${profile})`);
+    console.error(`📋 Open this URL in any browser:\n`);
+    console.error(`   ${authUrl}\n`);
+    console.error(`📋 After login, copy the URL from the address bar (${redirectUri}?code=...) and complete authentication with it.`);
+
+    return { authId, authUrl, redirectUri, profile };
+  }
+
+  /**
+   * Complete manual OAuth flow with the pasted redirect URL or authorization code
+   * @param {Object} input
+   * @param {string} [input.redirectUrl] - Full redirect URL (or its query string)
+   * @param {string} [input.code] - Authorization code, if pasted on its own
+   * @param {string} [input.state] - State parameter, required with a code pasted on its own
+   * @param {string} [input.profile] - Profile name
+   * @returns {Promise<string>} Profile name
+   */
+  async completeManualAuthFlow(input = {}) {
+    const profile = this.resolveProfile(input.profile);
+    let { code, state } = input;
+
+    if (input.redirectUrl) {
+      const params = parseRedirectParams(input.redirectUrl);
+      if (params.get('error')) {
+        throw new Error(`NetSuite returned an error: ${params.get('error_description') || params.get('error')}`);
+      }
+      code = params.get('code') || code;
+      state = params.get('state') || state;
+    }
+
+    if (!code) {
+      throw new Error('No authorization code found. Paste the full redirect URL or the "code" parameter.');
+    }
+    if (!state) {
+      throw new Error('No state parameter found. Paste the full redirect URL, or pass "state" together with "code", so the code can be matched to the pending authentication.');
+    }
+
+    const session = await this.storage.load(profile);
+    if (!session || !session.pkce) {
+      throw new Error(`No pending authentication for profile "${profile}". Start with netsuite_authenticate first.`);
+    }
+
+    if (Date.now() - (session.timestamp || 0) > PENDING_AUTH_TTL) {
+      const error = new Error('Pending authentication expired. Please start netsuite_authenticate again.');
+      await this.recordAuthFailure(profile, session.auth?.id, error, AUTH_STATUS.EXPIRED).catch(() => {});
       throw error;
     }
 
-    return authUrl;
+    // Validate state parameter (CSRF protection)
+    if (state !== session.state) {
+      throw new Error('Invalid state parameter. The redirect URL does not belong to the pending authentication.');
+    }
+
+    await this.handleAuthorizationCode(code, profile);
+    console.error(`✅ Authentication successful! (profile: ${profile})\n`);
+    return profile;
   }
 
   /**
@@ -86,100 +246,248 @@ export class OAuthManager {
 
   /**
    * Handle authorization code from OAuth callback
+   * @param {string} code - Authorization code
+   * @param {string} [profile] - Profile name
    */
-  async handleAuthorizationCode(code) {
-    const session = await this.storage.load();
+  async handleAuthorizationCode(code, profile) {
+    profile = this.resolveProfile(profile);
 
-    if (!session || !session.pkce) {
-      throw new Error('Invalid session or PKCE challenge not found. Please try connecting again.');
-    }
+    await this.storage.withLock(profile, async () => {
+      const session = await this.storage.load(profile);
+
+      if (!session || !session.pkce) {
+        throw new Error('Invalid session or PKCE challenge not found. Please try connecting again.');
+      }
 
-    const { pkce: verifier, config } = session;
+      const { pkce: verifier, config } = session;
 
-    // Exchange code for tokens
-    const tokens = await exchangeCodeForTokens(code, config, verifier);
+      // Exchange code for tokens
+      const tokens = await exchangeCodeForTokens(code, config, verifier);
 
-    // Store tokens in session
-    await this.storage.save({
-      ...session,
-      tokens,
-      pkce: null, // Clear PKCE after successful exchange
-      authenticated: true
+      // Store tokens in session
+      await this.storage.save({
+        ...session,
+        tokens,
+        pkce: null, // Clear PKCE after successful exchange
+        authenticated: true,
+        auth: session.auth && {
+          ...session.auth,
+          status: AUTH_STATUS.SUCCEEDED,
+          completedAt: Date.now()
+        }
+      }, profile);
     });
   }
 
+  /**
+   * Record a failed (or expired) pending authentication in the session
+   * @param {string} profile - Normalized profile name
+   * @param {string} authId - Pending authentication ID
+   * @param {Error} error - Failure reason
+   * @param {string} [status] - AUTH_STATUS value (derived from the error if omitted)
+   */
+  async recordAuthFailure(profile, authId, error, status) {
+    await this.storage.withLock(profile, async () => {
+      const session = await this.storage.load(profile);
+      if (!session?.auth || session.auth.id !== authId || session.auth.status !== AUTH_STATUS.PENDING) {
+        return; // superseded by a newer authentication attempt
+      }
+
+      await this.storage.save({
+        ...session,
+        pkce: null,
+        auth: {
+          ...session.auth,
+          status: status || (/timeout/i.test(error.message) ? AUTH_STATUS.EXPIRED : AUTH_STATUS.FAILED),
+          error: error.message,
+          completedAt: Date.now()
+        }
+      }, profile);
+    });
+  }
+
+  /**
+   * Get status of the latest authentication attempt
+   * @param {Object} [query]
+   * @param {string} [query.authId] - Pending authentication ID (searched across profiles)
+   * @param {string} [query.profile] - Profile name (defaults to the active profile)
+   * @returns {Promise<{authId: string|null, profile: string, status: string, mode?: string, accountId?: string, authUrl?: string, error?: string, expiresAt?: number}>}
+   */
+  async getAuthStatus(query = {}) {
+    let profile = query.profile ? this.resolveProfile(query.profile) : null;
+
+    if (!profile && query.authId) {
+      for (const candidate of await this.storage.listProfiles()) {
+        const session = await this.storage.load(candidate).catch(() => null);
+        if (session?.auth?.id === query.authId) {
+          profile = candidate;
+          break;
+        }
+      }
+      if (!profile) {
+        return { authId: query.authId, profile: null, status: 'unknown' };
+      }
+    }
+
+    profile = this.resolveProfile(profile);
+    const session = await this.storage.load(profile);
+    const auth = session?.auth;
+
+    if (!auth || (query.authId && auth.id !== query.authId)) {
+      // No tracked attempt: report the plain session state
+      const authenticated = !!(session && session.authenticated && session.tokens);
+      return {
+        authId: query.authId || null,
+        profile,
+        status: query.authId ? 'unknown' : (authenticated ? AUTH_STATUS.SUCCEEDED : 'none'),
+        accountId: session?.tokens?.accountId
+      };
+    }
+
+    const expired = auth.status === AUTH_STATUS.PENDING && Date.now() > auth.expiresAt;
+    return {
+      authId: auth.id,
+      profile,
+      status: expired ? AUTH_STATUS.EXPIRED : auth.status,
+      mode: auth.mode,
+      accountId: session.config?.accountId,
+      authUrl: auth.status === AUTH_STATUS.PENDING && !expired ? auth.authUrl : undefined,
+      error: auth.error,
+      expiresAt: auth.expiresAt
+    };
+  }
+
   /**
    * Ensure token is valid, auto-refresh if expiring soon
+   * @param {string} [profile] - Profile name
    * @returns {Promise<string>} Valid access token
    */
-  async ensureValidToken() {
-    const session = await this.storage.load();
+  async ensureValidToken(profile) {
+    profile = this.resolveProfile(profile);
+    const session = await this.storage.load(profile);
 
     if (!session || !session.tokens) {
-      throw new Error('Not authenticated. Please run authentication first.');
+      throw new Error(`Not authenticated (profile: ${profile}). Please run authentication first.`);
     }
 
     // Refresh if expiring in < 5 minutes
     if (shouldRefreshToken(session.tokens)) {
       console.error('⚠️  Token expiring soon, refreshing...');
-      const newTokens = await refreshAccessToken(session.tokens);
+      const newTokens = await this.refreshAccessToken(profile, session.tokens.access_token);
+      return newTokens.access_token;
+    }
 
-      await this.storage.save({
-        ...session,
-        tokens: newTokens
+    return session.tokens.access_token;
+  }
+
+  /**
+   * Refresh access token (single-flight per profile)
+   * Concurrent callers share one in-flight refresh.
+   * @param {string} [profile] - Profile name
+   * @param {string} [staleAccessToken] - Access token known to be stale (defaults to the stored one)
+   * @returns {Promise<Object>} New tokens
+   */
+  async refreshAccessToken(profile, staleAccessToken) {
+    profile = this.resolveProfile(profile);
+
+    if (!this.pendingRefreshes.has(profile)) {
+      const refresh = (async () => {
+        if (!staleAccessToken) {
+          const session = await this.storage.load(profile);
+          staleAccessToken = session?.tokens?.access_token;
+        }
+        return await this.refreshTokensLocked(profile, staleAccessToken);
+      })().finally(() => {
+        this.pendingRefreshes.delete(profile);
       });
 
-      return newTokens.access_token;
+      this.pendingRefreshes.set(profile, refresh);
     }
 
-    return session.tokens.access_token;
+    return await this.pendingRefreshes.get(profile);
+  }
+
+  /**
+   * Refresh tokens under the cross-process session lock
+   * If the stored access token no longer matches the one the caller saw,
+   * another process already refreshed it and the stored tokens are returned
+   * instead of spending the (possibly rotated) refresh token again.
+   * @param {string} profile - Normalized profile name
+   * @param {string} [staleAccessToken] - Access token the caller wants replaced
+   * @returns {Promise<Object>} Current tokens
+   */
+  async refreshTokensLocked(profile, staleAccessToken) {
+    return await this.storage.withLock(profile, async () => {
+      const session = await this.storage.load(profile);
+      if (!session || !session.tokens) {
+        throw new Error('No tokens found in session');
+      }
+
+      if (staleAccessToken && session.tokens.access_token !== staleAccessToken) {
+        console.error('✅ Tokens already refreshed by another process');
+        return session.tokens;
+      }
+
+      const newTokens = await refreshAccessToken(session.tokens);
+      await this.storage.save({
+        ...session,
+        tokens: newTokens
+      }, profile);
+
+      return newTokens;
+    });
   }
 
   /**
    * Check if has valid authenticated session
+   * @param {string} [profile] - Profile name
    * @returns {Promise<boolean>}
    */
-  async hasValidSession() {
-    return await this.storage.isAuthenticated();
+  async hasValidSession(profile) {
+    return await this.storage.isAuthenticated(this.resolveProfile(profile));
   }
 
   /**
    * Get account ID from session
+   * @param {string} [profile] - Profile name
    * @returns {Promise<string|undefined>}
    */
-  async getAccountId() {
-    const session = await this.storage.load();
+  async getAccountId(profile) {
+    const session = await this.storage.load(this.resolveProfile(profile));
     return session?.tokens?.accountId;
   }
 
   /**
-   * Clear session (logout)
+   * List stored profiles with their authentication status
+   * @returns {Promise<Array<{profile: string, accountId: string|undefined, authenticated: boolean, active: boolean}>>}
    */
-  async clearSession() {
-    await this.storage.clear();
+  async listProfiles() {
+    const profiles = await this.storage.listProfiles();
+    return Promise.all(profiles.map(async (profile) => {
+      const session = await this.storage.load(profile).catch(() => null);
+      return {
+        profile,
+        accountId: session?.tokens?.accountId || session?.config?.accountId,
+        authenticated: !!(session && session.authenticated && session.tokens),
+        active: profile === this.profile
+      };
+    }));
   }
 
-  // Legacy methods for backward compatibility
-  async saveSession(data) {
-    return await this.storage.save(data);
+  /**
+   * Clear session (logout)
+   * @param {string} [profile] - Profile name
+   */
+  async clearSession(profile) {
+    await this.storage.clear(this.resolveProfile(profile));
   }
 
-  async loadSession() {
-    return await this.storage.load();
+  // Legacy methods for backward compatibility
+  async saveSession(data, profile) {
+    return await this.storage.save(data, this.resolveProfile(profile));
   }
 
-  async refreshAccessToken() {
-    const session = await this.storage.load();
-    if (!session || !session.tokens) {
-      throw new Error('No tokens found in session');
-    }
-
-    const newTokens = await refreshAccessToken(session.tokens);
-    await this.storage.save({
-      ...session,
-      tokens: newTokens
-    });
-
-    return newTokens;
+  async loadSession(profile) {
+    return await this.storage.load(this.resolveProfile(profile));
   }
 }
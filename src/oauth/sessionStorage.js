@@ -1,24 +1,83 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { createStorageBackend } from './storageBackends.js';
+
+export const DEFAULT_PROFILE = 'default';
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const PROFILE_FILE_SUFFIX = '.session.json';
+
+const LOCK_RETRY_INTERVAL = 100; // ms between lock attempts
+const LOCK_TIMEOUT = 60 * 1000; // give up waiting after 60 seconds
+const LOCK_STALE_AFTER = 2 * 60 * 1000; // locks older than this are from a crashed process
 
 /**
  * Session storage for OAuth tokens
- * Handles reading and writing session data to disk
+ * Handles reading and writing session data to disk, one file per profile:
+ * - default profile: sessions/session.json (backward compatible)
+ * - named profiles:  sessions/<profile>.session.json
+ * How each file is written (plaintext or encrypted) is delegated to a
+ * pluggable backend, see storageBackends.js.
  */
 export class SessionStorage {
-  constructor(storagePath) {
+  /**
+   * @param {string} storagePath - Sessions directory
+   * @param {Object} [options]
+   * @param {Object} [options.backend] - Storage backend (defaults to createStorageBackend())
+   */
+  constructor(storagePath, options = {}) {
     this.storagePath = storagePath;
     this.sessionFile = path.join(storagePath, 'session.json');
+    this.backendPromise = options.backend ? Promise.resolve(options.backend) : null;
+    this.migrations = new Map(); // session file -> in-flight migration
+  }
+
+  /**
+   * Get storage backend (created on first use)
+   * @returns {Promise<Object>} Storage backend
+   */
+  async getBackend() {
+    if (!this.backendPromise) {
+      this.backendPromise = createStorageBackend();
+    }
+    return this.backendPromise;
+  }
+
+  /**
+   * Validate profile name (also prevents path traversal)
+   * @param {string} [profile] - Profile name
+   * @returns {string} Normalized profile name
+   */
+  static normalizeProfile(profile) {
+    const name = profile || DEFAULT_PROFILE;
+    if (!PROFILE_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid profile name "${name}". Use letters, digits, "-" or "_" (max 64 characters).`);
+    }
+    return name;
+  }
+
+  /**
+   * Get session file path for a profile
+   * @param {string} [profile] - Profile name
+   * @returns {string} Absolute session file path
+   */
+  getSessionFile(profile) {
+    const name = SessionStorage.normalizeProfile(profile);
+    if (name === DEFAULT_PROFILE) {
+      return this.sessionFile;
+    }
+    return path.join(this.storagePath, `${name}${PROFILE_FILE_SUFFIX}`);
   }
 
   /**
    * Save session data to file
    * @param {Object} data - Session data to save
+   * @param {string} [profile] - Profile name
    */
-  async save(data) {
+  async save(data, profile) {
     try {
-      await fs.mkdir(this.storagePath, { recursive: true });
-      await fs.writeFile(this.sessionFile, JSON.stringify(data, null, 2));
+      const backend = await this.getBackend();
+      await backend.write(this.getSessionFile(profile), data);
     } catch (error) {
       console.error('❌ Failed to save session:', error.message);
       throw error;
@@ -27,42 +86,139 @@ export class SessionStorage {
 
   /**
    * Load session data from file
+   * @param {string} [profile] - Profile name
    * @returns {Promise<Object|null>} Session data or null if not found
    */
-  async load() {
-    try {
-      const data = await fs.readFile(this.sessionFile, 'utf-8');
-      return JSON.parse(data);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return null; // Session file doesn't exist
-      }
-      throw error;
+  async load(profile) {
+    const backend = await this.getBackend();
+    const sessionFile = this.getSessionFile(profile);
+    const session = await backend.read(sessionFile); // null if session file doesn't exist
+    if (backend.needsMigration?.(sessionFile)) {
+      this.scheduleMigration(profile, backend, sessionFile);
     }
+    return session;
+  }
+
+  /**
+   * Rewrite a session file in the backend's current format under the session lock
+   * Not awaited: load() is also called while the lock is held, so the
+   * migration waits for the lock in the background and re-reads the file
+   * instead of writing back what was just loaded.
+   * @param {string} profile - Profile name
+   * @param {Object} backend - Storage backend
+   * @param {string} sessionFile - Session file path
+   */
+  scheduleMigration(profile, backend, sessionFile) {
+    if (this.migrations.has(sessionFile)) {
+      return;
+    }
+    const migration = this.withLock(profile, () => backend.migrate(sessionFile))
+      .catch(error => console.error('⚠️  Failed to migrate session file:', error.message))
+      .finally(() => this.migrations.delete(sessionFile));
+    this.migrations.set(sessionFile, migration);
   }
 
   /**
    * Clear session file (logout)
+   * @param {string} [profile] - Profile name
    */
-  async clear() {
+  async clear(profile) {
+    const sessionFile = this.getSessionFile(profile);
     try {
-      await fs.unlink(this.sessionFile);
+      const backend = await this.getBackend();
+      await backend.remove(sessionFile);
       console.error('✅ Session cleared');
     } catch {
       // Session file doesn't exist, ignore
     }
   }
 
+  /**
+   * Run a function while holding the cross-process lock for a profile
+   * The lock is a `<session file>.lock` file created exclusively, so other
+   * processes sharing the sessions directory wait until it is released.
+   * @param {string} [profile] - Profile name
+   * @param {Function} fn - Async function to run while locked
+   * @returns {Promise<*>} Result of fn
+   */
+  async withLock(profile, fn) {
+    const lockFile = `${this.getSessionFile(profile)}.lock`;
+    await fs.mkdir(this.storagePath, { recursive: true });
+
+    const startedAt = Date.now();
+    let handle;
+    while (!handle) {
+      try {
+        handle = await fs.open(lockFile, 'wx', 0o600);
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+
+        // Break locks left behind by a crashed process
+        const stat = await fs.stat(lockFile).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_AFTER) {
+          console.error(`⚠️  Removing stale session lock: ${path.basename(lockFile)}`);
+          await fs.unlink(lockFile).catch(() => {});
+          continue;
+        }
+
+        if (Date.now() - startedAt > LOCK_TIMEOUT) {
+          throw new Error(`Timed out waiting for session lock: ${lockFile}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_INTERVAL));
+      }
+    }
+
+    try {
+      await handle.writeFile(JSON.stringify({ pid: process.pid, createdAt: Date.now() }));
+      return await fn();
+    } finally {
+      await handle.close().catch(() => {});
+      await fs.unlink(lockFile).catch(() => {});
+    }
+  }
+
   /**
    * Check if session exists and is authenticated
+   * @param {string} [profile] - Profile name
    * @returns {Promise<boolean>}
    */
-  async isAuthenticated() {
+  async isAuthenticated(profile) {
     try {
-      const session = await this.load();
+      const session = await this.load(profile);
       return !!(session && session.authenticated && session.tokens);
     } catch {
       return false;
     }
   }
+
+  /**
+   * List profiles that have a session file
+   * @returns {Promise<string[]>} Profile names
+   */
+  async listProfiles() {
+    let files;
+    try {
+      files = await fs.readdir(this.storagePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const profiles = [];
+    for (const file of files) {
+      if (file === 'session.json') {
+        profiles.push(DEFAULT_PROFILE);
+      } else if (file.endsWith(PROFILE_FILE_SUFFIX)) {
+        const name = file.slice(0, -PROFILE_FILE_SUFFIX.length);
+        if (name !== DEFAULT_PROFILE && PROFILE_NAME_PATTERN.test(name)) {
+          profiles.push(name);
+        }
+      }
+    }
+    return profiles.sort();
+  }
 }
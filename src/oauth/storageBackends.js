@@ -0,0 +1,319 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+
+/**
+ * Session storage backends
+ * A backend reads and writes one session object per file path.
+ * SessionStorage decides which file belongs to which profile; backends only
+ * decide how the object is stored on disk.
+ *
+ * Backend interface:
+ * - name: string
+ * - read(filePath): Promise<Object|null>  (null when the file doesn't exist)
+ * - write(filePath, data): Promise<void>
+ * - remove(filePath): Promise<void>
+ */
+
+const FILE_MODE = 0o600;
+const DIR_MODE = 0o700;
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+
+const scrypt = promisify(crypto.scrypt);
+
+// Whitespace bytes around key file contents (space, tab, CR, LF)
+const WHITESPACE_BYTES = new Set([0x20, 0x09, 0x0d, 0x0a]);
+
+/**
+ * Trim leading/trailing whitespace from key file contents
+ * A key file written with `echo` ends in a newline that must not become part
+ * of the key, or it wouldn't match the same passphrase given as env var.
+ * @param {Buffer} contents - Key file contents
+ * @returns {Buffer}
+ */
+export function trimKey(contents) {
+  let start = 0;
+  let end = contents.length;
+  while (start < end && WHITESPACE_BYTES.has(contents[start])) start++;
+  while (end > start && WHITESPACE_BYTES.has(contents[end - 1])) end--;
+  return contents.subarray(start, end);
+}
+
+/**
+ * Atomically write file readable by the current user only
+ * Contents go to a temporary file in the same directory which is then renamed
+ * over the destination, so readers never see a partially written session.
+ * @param {string} filePath - Destination file
+ * @param {string} contents - File contents
+ */
+async function writeSecureFile(filePath, contents) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true, mode: DIR_MODE });
+
+  const tempFile = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await fs.writeFile(tempFile, contents, { mode: FILE_MODE });
+    await fs.chmod(tempFile, FILE_MODE);
+    await fs.rename(tempFile, filePath);
+  } catch (error) {
+    await fs.unlink(tempFile).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Read file, returning null if it doesn't exist
+ * @param {string} filePath - File to read
+ * @returns {Promise<string|null>}
+ */
+async function readFileIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check if parsed file contents are an encrypted envelope
+ * @param {Object} data - Parsed file contents
+ * @returns {boolean}
+ */
+function isEncryptedEnvelope(data) {
+  return !!(data && data.encrypted === true && data.algorithm && data.data);
+}
+
+/**
+ * Plaintext JSON backend (default)
+ */
+export class PlainFileBackend {
+  constructor() {
+    this.name = 'plain';
+  }
+
+  async read(filePath) {
+    const contents = await readFileIfExists(filePath);
+    if (contents === null) {
+      return null;
+    }
+
+    const data = JSON.parse(contents);
+    if (isEncryptedEnvelope(data)) {
+      throw new Error('Session file is encrypted. Set NETSUITE_SESSION_PASSPHRASE or NETSUITE_SESSION_KEY_FILE to read it.');
+    }
+    return data;
+  }
+
+  async write(filePath, data) {
+    await writeSecureFile(filePath, JSON.stringify(data, null, 2));
+  }
+
+  async remove(filePath) {
+    await fs.unlink(filePath);
+  }
+}
+
+/**
+ * AES-256-GCM encrypted backend
+ * The key is derived from a passphrase with scrypt (off the event loop, once
+ * per salt); the salt, IV and auth tag are stored next to the ciphertext.
+ * Plaintext session files found on read are reported by needsMigration() and
+ * re-encrypted in place by migrate().
+ */
+export class EncryptedFileBackend {
+  /**
+   * @param {Object} options
+   * @param {string|Buffer} options.secret - Passphrase or key file contents
+   * @param {Buffer} [options.legacySecret] - Untrimmed key file contents, still accepted for reading
+   */
+  constructor(options = {}) {
+    if (!options.secret || options.secret.length === 0) {
+      throw new Error('Encrypted session storage requires a passphrase or key file');
+    }
+
+    this.name = 'encrypted';
+    this.secret = options.secret;
+    this.legacySecret = options.legacySecret;
+    this.salt = crypto.randomBytes(SALT_LENGTH);
+    this.keys = new Map(); // secret + salt -> promise of the derived key
+    this.stale = new Set(); // files read in plaintext or with the legacy key
+  }
+
+  /**
+   * Derive (and memoize) the encryption key for a salt
+   * @param {Buffer} salt - KDF salt
+   * @param {string|Buffer} [secret] - Secret to derive from (default the current one)
+   * @returns {Promise<Buffer>} 256-bit key
+   */
+  deriveKey(salt, secret = this.secret) {
+    const cacheKey = `${secret === this.secret ? 'current' : 'legacy'}:${salt.toString('base64')}`;
+    if (!this.keys.has(cacheKey)) {
+      const derivation = scrypt(secret, salt, KEY_LENGTH);
+      derivation.catch(() => this.keys.delete(cacheKey));
+      this.keys.set(cacheKey, derivation);
+    }
+    return this.keys.get(cacheKey);
+  }
+
+  /**
+   * Encrypt session object into an envelope
+   * @param {Object} data - Session data
+   * @returns {Promise<Object>} Encrypted envelope
+   */
+  async encrypt(data) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, await this.deriveKey(this.salt), iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf-8'), cipher.final()]);
+
+    return {
+      encrypted: true,
+      version: 1,
+      algorithm: ALGORITHM,
+      kdf: 'scrypt',
+      salt: this.salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: ciphertext.toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt envelope back into a session object
+   * @param {Object} envelope - Encrypted envelope
+   * @param {string|Buffer} [secret] - Secret to decrypt with (default the current one)
+   * @returns {Promise<Object>} Session data
+   */
+  async decrypt(envelope, secret = this.secret) {
+    if (envelope.algorithm !== ALGORITHM) {
+      throw new Error(`Unsupported session encryption algorithm: ${envelope.algorithm}`);
+    }
+
+    try {
+      const key = await this.deriveKey(Buffer.from(envelope.salt, 'base64'), secret);
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(envelope.data, 'base64')),
+        decipher.final()
+      ]);
+      return JSON.parse(plaintext.toString('utf-8'));
+    } catch {
+      throw new Error('Failed to decrypt session file. Check NETSUITE_SESSION_PASSPHRASE / NETSUITE_SESSION_KEY_FILE.');
+    }
+  }
+
+  /**
+   * Decode parsed file contents into a session
+   * @param {Object} data - Encrypted envelope or legacy plaintext session
+   * @returns {Promise<{session: Object, current: boolean}>} current is false for plaintext and legacy-key files
+   */
+  async decode(data) {
+    if (!isEncryptedEnvelope(data)) {
+      return { session: data, current: false };
+    }
+    try {
+      return { session: await this.decrypt(data), current: true };
+    } catch (error) {
+      if (!this.legacySecret) {
+        throw error;
+      }
+      // Written with the untrimmed key file contents
+      return { session: await this.decrypt(data, this.legacySecret), current: false };
+    }
+  }
+
+  async read(filePath) {
+    const contents = await readFileIfExists(filePath);
+    if (contents === null) {
+      return null;
+    }
+
+    const { session, current } = await this.decode(JSON.parse(contents));
+    if (!current) {
+      this.stale.add(filePath);
+    }
+    return session;
+  }
+
+  /**
+   * Check whether a file read earlier should be rewritten with migrate()
+   * @param {string} filePath - Session file
+   * @returns {boolean}
+   */
+  needsMigration(filePath) {
+    return this.stale.has(filePath);
+  }
+
+  /**
+   * Re-encrypt a plaintext or legacy-key session file with the current key
+   * The file is read again, so the caller should hold the session lock.
+   * @param {string} filePath - Session file
+   * @returns {Promise<boolean>} Whether the file was rewritten
+   */
+  async migrate(filePath) {
+    this.stale.delete(filePath);
+    const contents = await readFileIfExists(filePath);
+    if (contents === null) {
+      return false;
+    }
+
+    const data = JSON.parse(contents);
+    const { session, current } = await this.decode(data);
+    if (current) {
+      return false;
+    }
+    await this.write(filePath, session);
+    console.error(isEncryptedEnvelope(data)
+      ? `🔒 Re-encrypted session with the trimmed key file contents: ${path.basename(filePath)}`
+      : `🔒 Migrated plaintext session to encrypted storage: ${path.basename(filePath)}`);
+    return true;
+  }
+
+  async write(filePath, data) {
+    await writeSecureFile(filePath, JSON.stringify(await this.encrypt(data), null, 2));
+  }
+
+  async remove(filePath) {
+    await fs.unlink(filePath);
+  }
+}
+
+/**
+ * Create storage backend from options or environment
+ * - NETSUITE_SESSION_PASSPHRASE: passphrase for the encrypted backend
+ * - NETSUITE_SESSION_KEY_FILE: file whose contents are used as the passphrase
+ * Without either, sessions are stored as plaintext JSON.
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Encryption passphrase
+ * @param {string} [options.keyFile] - Path to key file
+ * @returns {Promise<PlainFileBackend|EncryptedFileBackend>}
+ */
+export async function createStorageBackend(options = {}) {
+  const passphrase = options.passphrase ?? process.env.NETSUITE_SESSION_PASSPHRASE;
+  const keyFile = options.keyFile ?? process.env.NETSUITE_SESSION_KEY_FILE;
+
+  if (passphrase) {
+    return new EncryptedFileBackend({ secret: passphrase });
+  }
+
+  if (keyFile) {
+    const contents = await fs.readFile(keyFile);
+    const secret = trimKey(contents);
+    if (secret.length === 0) {
+      throw new Error(`Session key file is empty: ${keyFile}`);
+    }
+    return new EncryptedFileBackend({
+      secret,
+      legacySecret: secret.length < contents.length ? contents : undefined
+    });
+  }
+
+  return new PlainFileBackend();
+}
@@ -5,6 +5,22 @@ import axios from 'axios';
  * Handles token exchange and refresh operations
  */
 
+/**
+ * Error raised when refreshing the access token fails
+ * - invalidGrant: the refresh token was rejected (expired/revoked) - re-authenticate
+ * - transient: network error, timeout, 429 or 5xx - retrying later may succeed
+ */
+export class TokenRefreshError extends Error {
+  constructor(message, { status, code, transient = false } = {}) {
+    super(message);
+    this.name = 'TokenRefreshError';
+    this.status = status;
+    this.code = code;
+    this.transient = transient;
+    this.invalidGrant = code === 'invalid_grant';
+  }
+}
+
 /**
  * Exchange authorization code for access/refresh tokens
  * @param {string} code - Authorization code from OAuth callback
@@ -89,7 +105,24 @@ export async function refreshAccessToken(tokens) {
 
   } catch (error) {
     console.error('❌ Token refresh failed:', error.response?.data || error.message);
-    throw new Error('Failed to refresh access token. Please re-authenticate.');
+
+    const status = error.response?.status;
+    const code = error.response?.data?.error;
+
+    if (code === 'invalid_grant') {
+      throw new TokenRefreshError('Refresh token is invalid or expired. Please re-authenticate.', { status, code });
+    }
+
+    // No response (network/timeout), rate limiting or server errors are worth retrying
+    if (!error.response || status === 429 || status >= 500) {
+      throw new TokenRefreshError(`Temporary failure refreshing access token: ${status || error.code || error.message}`, {
+        status,
+        code,
+        transient: true
+      });
+    }
+
+    throw new TokenRefreshError('Failed to refresh access token. Please re-authenticate.', { status, code });
   }
 }
 
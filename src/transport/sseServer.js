@@ -0,0 +1,210 @@
+import http from 'http';
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+
+/**
+ * HTTP (SSE) transport host
+ * Serves MCP over Server-Sent Events so several clients can share one
+ * server process:
+ *   GET  /sse                      - open an MCP session (event stream)
+ *   POST /messages?sessionId=<id>  - client -> server messages
+ *   GET  /health                   - liveness check (no auth)
+ * Each SSE connection gets its own MCP Server instance from createServer().
+ * With a users map, each user authenticates with their own bearer token and
+ * createServer() is told which user opened the connection.
+ */
+
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', 'localhost', '::1']);
+
+/**
+ * Compare a presented bearer token with the expected one in constant time
+ */
+function tokenMatches(presented, expected) {
+  const a = crypto.createHash('sha256').update(presented || '').digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Load HTTP users from a JSON file ({ "<user>": "<bearer token>", ... })
+ * @param {string} filePath - Users file
+ * @returns {Object} User name -> token map
+ * @throws {Error} If the file is unreadable or malformed
+ */
+export function loadUsersFile(filePath) {
+  const users = JSON.parse(readFileSync(filePath, 'utf8'));
+  if (!users || typeof users !== 'object' || Array.isArray(users)) {
+    throw new Error(`${filePath} must be a JSON object of user name -> token`);
+  }
+
+  for (const [user, token] of Object.entries(users)) {
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(user)) {
+      throw new Error(`Invalid user name "${user}" in ${filePath} (letters, digits, _ and - only)`);
+    }
+    if (typeof token !== 'string' || token.length < 16) {
+      throw new Error(`Token for user "${user}" in ${filePath} must be a string of at least 16 characters`);
+    }
+  }
+  return users;
+}
+
+export class SSEServer {
+  /**
+   * @param {Object} options
+   * @param {Function} options.createServer - Returns a new MCP Server for a connection
+   * @param {string} [options.host] - Bind address (default 127.0.0.1)
+   * @param {number} [options.port] - Port (default 3000)
+   * @param {string} [options.authToken] - Required bearer token (required when not bound to loopback)
+   * @param {Object} [options.users] - User name -> bearer token map
+   */
+  constructor(options) {
+    this.createServer = options.createServer;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 3000;
+    this.authToken = options.authToken;
+    this.users = options.users || {};
+    this.sessions = new Map(); // sessionId -> { transport, server, info }
+    this.httpServer = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<void>}
+   */
+  start() {
+    const hasTokens = Boolean(this.authToken) || Object.keys(this.users).length > 0;
+    if (!hasTokens && !LOOPBACK_HOSTS.has(this.host)) {
+      throw new Error(`Refusing to listen on ${this.host} without an auth token. Set NETSUITE_HTTP_TOKEN or NETSUITE_HTTP_USERS_FILE (or bind to 127.0.0.1).`);
+    }
+    if (!hasTokens) {
+      console.error('⚠️  HTTP transport has no auth token - any local process can connect');
+    }
+
+    this.httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        console.error('❌ HTTP request error:', error.message);
+        if (!res.headersSent) {
+          res.writeHead(500).end('Internal server error');
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        console.error(`🌐 MCP SSE endpoint: http://${this.host}:${this.port}/sse`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Check the Authorization header
+   * @returns {{user: string|null}|null} Caller (user is null for the shared token), or null if rejected
+   */
+  authenticate(req) {
+    const userTokens = Object.entries(this.users);
+    if (!this.authToken && userTokens.length === 0) {
+      return { user: null };
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) {
+      return null;
+    }
+
+    // Check every token so timing doesn't reveal which one matched
+    let caller = null;
+    for (const [user, token] of userTokens) {
+      if (tokenMatches(match[1], token) && !caller) {
+        caller = { user };
+      }
+    }
+    if (this.authToken && tokenMatches(match[1], this.authToken) && !caller) {
+      caller = { user: null };
+    }
+    return caller;
+  }
+
+  /**
+   * Route an HTTP request
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'ok', sessions: this.sessions.size }));
+      return;
+    }
+
+    const caller = this.authenticate(req);
+    if (!caller) {
+      console.error(`🚫 Rejected unauthorized ${req.method} ${url.pathname} from ${req.socket.remoteAddress}`);
+      res.writeHead(401, { 'WWW-Authenticate': 'Bearer' }).end('Unauthorized');
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/sse') {
+      await this.openSession(req, res, caller);
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/messages') {
+      const session = this.sessions.get(url.searchParams.get('sessionId'));
+      // Sessions only accept messages from the caller that opened them
+      if (!session || session.info.user !== caller.user) {
+        res.writeHead(404).end('Unknown session');
+        return;
+      }
+      await session.transport.handlePostMessage(req, res);
+      return;
+    }
+
+    res.writeHead(404).end('Not found');
+  }
+
+  /**
+   * Open an SSE stream and connect a new MCP Server to it
+   */
+  async openSession(req, res, caller) {
+    const transport = new SSEServerTransport('/messages', res);
+    const server = this.createServer({ sessionId: transport.sessionId, user: caller.user, req });
+    const info = { remoteAddress: req.socket.remoteAddress, user: caller.user, connectedAt: new Date().toISOString() };
+
+    this.sessions.set(transport.sessionId, { transport, server, info });
+
+    // connect() takes over transport.onclose, so hook the server's instead
+    const onclose = server.onclose;
+    server.onclose = () => {
+      onclose?.();
+      if (this.sessions.delete(transport.sessionId)) {
+        console.error(`🔌 MCP session closed: ${transport.sessionId}`);
+      }
+    };
+
+    await server.connect(transport);
+    console.error(`🔌 MCP session opened: ${transport.sessionId} (${info.user ? `${info.user}@` : ''}${info.remoteAddress})`);
+  }
+
+  /**
+   * Stop accepting connections and close all sessions
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const closing = this.httpServer
+      ? new Promise(resolve => this.httpServer.close(() => resolve()))
+      : Promise.resolve();
+
+    for (const { server } of [...this.sessions.values()]) {
+      await server.close().catch(() => {});
+    }
+    this.sessions.clear();
+    this.httpServer?.closeAllConnections?.(); // drop idle keep-alive sockets
+
+    await closing;
+    console.error('🛑 HTTP transport stopped');
+  }
+}
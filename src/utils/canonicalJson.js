@@ -0,0 +1,24 @@
+/**
+ * Canonical JSON
+ * Serializes a value with object keys sorted, so equal values always produce
+ * the same string (and hash).
+ */
+
+/**
+ * Serialize a value with object keys sorted
+ * @param {*} value - JSON-compatible value
+ * @returns {string}
+ */
+export function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
@@ -0,0 +1,66 @@
+/**
+ * Concurrency limiter
+ * Caps the number of in-flight async operations; callers beyond the limit
+ * wait in FIFO order for a free slot.
+ */
+export class ConcurrencyLimiter {
+  /**
+   * @param {number} maxConcurrency - Maximum operations running at once
+   */
+  constructor(maxConcurrency) {
+    this.maxConcurrency = Math.max(1, maxConcurrency || 1);
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Run an async function once a slot is free
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} Result of fn
+   */
+  async run(fn) {
+    await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Wait for a free slot
+   */
+  acquire() {
+    if (this.active < this.maxConcurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+    });
+  }
+
+  /**
+   * Free a slot, handing it to the next waiter if any
+   */
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      next(); // slot passes directly to the waiter
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Get limiter status
+   */
+  getStatus() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      maxConcurrency: this.maxConcurrency
+    };
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Fuzzy text matching
+ * Scores how well a search phrase matches a name or label, tolerating word
+ * order, separators (custbody_approval_status ~ "approval status") and small
+ * typos. Scores range from 0 (no match) to 1 (exact match).
+ */
+
+/**
+ * Lower-case a text and turn every run of non-alphanumerics into one space
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Levenshtein edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Score one search word against one word of the text
+ */
+function wordScore(queryWord, word) {
+  if (word === queryWord || word.startsWith(queryWord)) {
+    return 1;
+  }
+  if (word.includes(queryWord)) {
+    return 0.8;
+  }
+  // Allow one typo in short words, two in longer ones
+  const allowed = queryWord.length <= 4 ? 1 : 2;
+  const distance = editDistance(queryWord, word.slice(0, queryWord.length + allowed));
+  return distance <= allowed ? 1 - distance / (queryWord.length + 1) : 0;
+}
+
+/**
+ * Score how well a search phrase matches a text
+ * @param {string} query - Search phrase
+ * @param {string} text - Name or label to match
+ * @returns {number} Score between 0 and 1
+ */
+export function fuzzyScore(query, text) {
+  const phrase = normalize(query);
+  const target = normalize(text);
+  if (!phrase || !target) {
+    return 0;
+  }
+
+  const compactPhrase = phrase.replace(/ /g, '');
+  const compactTarget = target.replace(/ /g, '');
+  if (compactTarget === compactPhrase) {
+    return 1;
+  }
+  if (compactTarget.startsWith(compactPhrase)) {
+    return 0.9;
+  }
+  if (compactTarget.includes(compactPhrase)) {
+    return 0.8;
+  }
+
+  // Every search word should match some word of the text
+  const words = target.split(' ');
+  const scores = phrase.split(' ').map(queryWord => Math.max(...words.map(word => wordScore(queryWord, word))));
+  if (scores.some(score => score === 0)) {
+    return 0;
+  }
+  return 0.7 * scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
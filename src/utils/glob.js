@@ -0,0 +1,28 @@
+/**
+ * Glob pattern helpers
+ * Supports `*` (any run of characters) and `?` (a single character);
+ * everything else matches literally. Matching is case-insensitive.
+ */
+
+/**
+ * Convert a glob pattern to a regular expression
+ * @param {string} pattern - Glob pattern (e.g. "ns_create*")
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  const source = String(pattern)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check if a value matches any of the given glob patterns
+ * @param {string} value - Value to test
+ * @param {string[]} [patterns] - Glob patterns
+ * @returns {boolean}
+ */
+export function matchesAny(value, patterns = []) {
+  return patterns.some(pattern => globToRegExp(pattern).test(value));
+}
@@ -0,0 +1,97 @@
+/**
+ * Retry helpers for NetSuite HTTP calls
+ * Exponential backoff with full jitter, Retry-After parsing and
+ * classification of retryable failures.
+ */
+
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ECONNREFUSED'
+]);
+
+// NetSuite concurrency governance / request limit errors
+const CONCURRENCY_ERROR_PATTERN = /concurrency|request limit|SSS_REQUEST_LIMIT_EXCEEDED|too many requests/i;
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Compute backoff delay with full jitter
+ * @param {number} attempt - Retry attempt (0-based)
+ * @param {Object} options
+ * @param {number} options.baseDelay - Base delay in ms
+ * @param {number} options.maxDelay - Maximum delay in ms
+ * @returns {number} Delay in ms
+ */
+export function computeBackoff(attempt, { baseDelay, maxDelay }) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Parse Retry-After header (seconds or HTTP date)
+ * @param {string|undefined} value - Header value
+ * @returns {number|null} Delay in ms, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Check if a message describes a NetSuite concurrency/request limit error
+ * @param {string} message - Error message
+ * @returns {boolean}
+ */
+export function isConcurrencyLimitMessage(message) {
+  return CONCURRENCY_ERROR_PATTERN.test(message || '');
+}
+
+/**
+ * Check if an axios error is worth retrying (network error, 429, 5xx)
+ * Requests that aren't idempotent (record writes) are only retried when
+ * NetSuite provably did not process them: connection refused, 429 or a
+ * concurrency-limit rejection. After a timeout or a 5xx the write may
+ * already have been applied, so replaying it could duplicate records.
+ * @param {Error} error - Axios error
+ * @param {Object} [options]
+ * @param {boolean} [options.idempotent] - Safe to replay (default true)
+ * @returns {boolean}
+ */
+export function isRetryableError(error, { idempotent = true } = {}) {
+  const status = error.response?.status;
+
+  if (!error.response) {
+    return idempotent ? RETRYABLE_NETWORK_CODES.has(error.code) : error.code === 'ECONNREFUSED';
+  }
+
+  if (status === 429 || (idempotent && status >= 500)) {
+    return true;
+  }
+
+  const data = error.response.data;
+  const message = typeof data === 'string' ? data : JSON.stringify(data || '');
+  return isConcurrencyLimitMessage(message);
+}